@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const bulkService = require('../src/services/bulkService');
+
+const ENTITY_TYPES = 'users|groups|memberships|resources|shares';
+
+function parseOptions(args) {
+  const options = { actorId: 'system' };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--format':
+        options.format = args[++i];
+        break;
+      case '--out':
+        options.out = args[++i];
+        break;
+      case '--actor':
+        options.actorId = args[++i];
+        break;
+      default:
+        throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Format given with --format, or taken from the file extension
+ */
+function formatFor(file, format) {
+  if (format) {
+    return format;
+  }
+  return path.extname(file || '').toLowerCase() === '.csv' ? 'csv' : 'jsonl';
+}
+
+async function importFile(type, file, options) {
+  if (!type || !file) {
+    throw new Error(`Usage: node scripts/data.js import <${ENTITY_TYPES}> <file>`);
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  const result = await bulkService.importRecords(type, text, formatFor(file, options.format), { actorId: options.actorId });
+
+  console.log(`✅ Imported ${result.imported} of ${result.total} ${type}`);
+  for (const error of result.errors) {
+    console.log(`❌ line ${error.line}${error.key ? ` (${error.key})` : ''}: ${error.message}`);
+  }
+  if (result.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+async function exportFile(type, options) {
+  if (!type) {
+    throw new Error(`Usage: node scripts/data.js export <${ENTITY_TYPES}> [--out <file>]`);
+  }
+
+  const format = formatFor(options.out, options.format);
+  const { count, body } = await bulkService.exportRecords(type, format);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, body);
+    console.log(`✅ Exported ${count} ${type} to ${options.out}`);
+  } else {
+    process.stdout.write(body);
+  }
+}
+
+async function main() {
+  const [command, type, ...rest] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'import': {
+        const [file, ...args] = rest;
+        await importFile(type, file, parseOptions(args));
+        break;
+      }
+      case 'export':
+        await exportFile(type, parseOptions(rest));
+        break;
+      default:
+        console.log(`Usage: node scripts/data.js [import|export] <${ENTITY_TYPES}> ...`);
+        console.log('  import <type> <file> [--format jsonl|csv] [--actor <id>]');
+        console.log('         Create the items in a JSON Lines or CSV file; failed rows are listed');
+        console.log('  export <type> [--out <file>] [--format jsonl|csv]');
+        console.log('         Write every item as JSON Lines or CSV (to stdout without --out)');
+        console.log('  The format defaults to the file extension (.csv or JSON Lines)');
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const migrations = require('../src/migrations');
+const { DEFAULT_BATCH_SIZE, createMigrationRunner, dynamoDbMigrationStore } = require('../src/utils/migrations');
+
+function parseOptions(args) {
+  const options = { dryRun: false, batchSize: DEFAULT_BATCH_SIZE };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--to':
+        options.to = args[++i];
+        break;
+      case '--batch-size':
+        options.batchSize = Number(args[++i]);
+        if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+          throw new Error('--batch-size must be a positive integer');
+        }
+        break;
+      default:
+        throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+function printStatus(entries) {
+  for (const entry of entries) {
+    const progress = entry.status === 'pending' ? '' : ` (${entry.changed} of ${entry.scanned} items)`;
+    const notes = [
+      entry.appliedAt && `applied ${entry.appliedAt}`,
+      entry.reversible === false && 'irreversible',
+      entry.unknown && 'not in src/migrations'
+    ].filter(Boolean);
+    console.log(`${entry.status.padEnd(9)} ${entry.migrationId}${progress}${notes.length ? ` - ${notes.join(', ')}` : ''}`);
+  }
+}
+
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    const options = parseOptions(process.argv.slice(3));
+    const runner = createMigrationRunner({ migrations, store: dynamoDbMigrationStore() });
+
+    switch (command) {
+      case 'up':
+        await runner.up(options);
+        break;
+      case 'down':
+        await runner.down(options);
+        break;
+      case 'status':
+        printStatus(await runner.status());
+        break;
+      default:
+        console.log('Usage: node scripts/migrate.js [up|down|status] [--dry-run] [--to <id>] [--batch-size <n>]');
+        console.log('  up     - Apply pending migrations in order (up to and including --to)');
+        console.log('  down   - Revert the latest applied migration (or every one back to and including --to)');
+        console.log('  status - List migrations and their progress');
+        console.log('  --dry-run     Report how many items each migration would change without writing');
+        console.log(`  --batch-size  Items read per page before progress is saved (default ${DEFAULT_BATCH_SIZE})`);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
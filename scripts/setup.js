@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { setupSampleData, cleanupSampleData, ensureTablesExist } = require('../src/utils/setup');
+const { setupSampleData, cleanupSampleData, ensureTablesExist, checkTables, rebuildStats, sweepOrphanedShares, sweepExpiredShares } = require('../src/utils/setup');
 
 async function main() {
   const command = process.argv[2];
@@ -16,11 +16,27 @@ async function main() {
       case 'tables':
         await ensureTablesExist();
         break;
+      case 'check':
+        await checkTables();
+        break;
+      case 'stats':
+        await rebuildStats();
+        break;
+      case 'sweep':
+        await sweepOrphanedShares();
+        break;
+      case 'expire':
+        await sweepExpiredShares();
+        break;
       default:
-        console.log('Usage: node scripts/setup.js [setup|cleanup|tables]');
+        console.log('Usage: node scripts/setup.js [setup|cleanup|tables|check|stats|sweep|expire]');
         console.log('  setup   - Create sample data for testing (includes table creation)');
         console.log('  cleanup - Remove all sample data');
         console.log('  tables  - Create DynamoDB tables only');
+        console.log('  check   - Compare the live tables and indexes with the models');
+        console.log('  stats   - Rebuild the reporting counters from scratch');
+        console.log('  sweep   - Remove sharing rules whose resource was deleted');
+        console.log('  expire  - Remove sharing rules whose expiresAt has passed');
         process.exit(1);
     }
   } catch (error) {
@@ -1,5 +1,6 @@
 const serverless = require('serverless-http');
 const app = require('./app');
+const deletionService = require('./services/deletionService');
 
 // Export the handler for serverless deployment
 module.exports.handler = serverless(app, {
@@ -10,3 +11,10 @@ module.exports.handler = serverless(app, {
     request.event = event;
   }
 });
+
+// Scheduled sweep that removes expired shares ahead of DynamoDB TTL
+module.exports.sweepExpiredShares = async () => {
+  const report = await deletionService.sweepExpiredShares();
+  console.log(`Removed ${report.sharesRemoved} expired shares`);
+  return report;
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { UnauthorizedError, wrapError } = require('../utils/errors');
+
+let cachedConfig = null;
+
+/**
+ * Parse a JSON object from an environment variable, or from the file it points to
+ */
+function readJsonSetting(name) {
+  const fileName = process.env[`${name}_FILE`];
+  const raw = fileName ? fs.readFileSync(fileName, 'utf8') : process.env[name];
+
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} must be a JSON object: ${error.message}`);
+  }
+}
+
+/**
+ * Load the configured JWT key set and API keys
+ *
+ * AUTH_JWT_KEYS maps a key id (the token's `kid` header) to either an HMAC
+ * secret or a PEM encoded public key. AUTH_API_KEYS maps a service account
+ * id to its API key.
+ */
+function getAuthConfig() {
+  if (!cachedConfig) {
+    cachedConfig = {
+      jwtKeys: readJsonSetting('AUTH_JWT_KEYS'),
+      apiKeys: readJsonSetting('AUTH_API_KEYS'),
+      issuer: process.env.AUTH_JWT_ISSUER || undefined,
+      audience: process.env.AUTH_JWT_AUDIENCE || undefined
+    };
+  }
+  return cachedConfig;
+}
+
+/**
+ * Drop the cached configuration so changed environment variables are picked up
+ */
+function resetAuthConfig() {
+  cachedConfig = null;
+}
+
+/**
+ * Pick the verification key for a token based on its `kid` header
+ */
+function resolveJwtKey(token, jwtKeys) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed token');
+  }
+
+  const keyIds = Object.keys(jwtKeys);
+  const kid = decoded.header.kid;
+
+  if (kid) {
+    if (!jwtKeys[kid]) {
+      throw new Error(`Unknown signing key: ${kid}`);
+    }
+    return jwtKeys[kid];
+  }
+
+  // Tokens without a kid are only accepted when a single key is configured
+  if (keyIds.length === 1) {
+    return jwtKeys[keyIds[0]];
+  }
+
+  throw new Error('Token is missing a kid header');
+}
+
+function verifyBearerToken(token, config) {
+  const key = resolveJwtKey(token, config.jwtKeys);
+  const isPublicKey = key.startsWith('-----BEGIN');
+
+  const payload = jwt.verify(token, key, {
+    algorithms: isPublicKey ? ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'] : ['HS256', 'HS384', 'HS512'],
+    issuer: config.issuer,
+    audience: config.audience
+  });
+
+  if (!payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return {
+    id: payload.sub,
+    type: 'user',
+    authMethod: 'jwt'
+  };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function verifyApiKey(apiKey, config) {
+  const serviceId = Object.keys(config.apiKeys).find(id => safeEqual(config.apiKeys[id], apiKey));
+  if (!serviceId) {
+    throw new Error('Invalid API key');
+  }
+
+  return {
+    id: serviceId,
+    type: 'service',
+    authMethod: 'api-key'
+  };
+}
+
+/**
+ * Authenticate the caller and attach it to the request as `req.actor`
+ *
+ * Accepts `Authorization: Bearer <jwt>` for users, falling back to an
+ * `X-API-Key` header for service accounts.
+ */
+function authenticate(req, res, next) {
+  let config;
+  try {
+    config = getAuthConfig();
+  } catch (error) {
+    return next(wrapError(error, 'Authentication is not configured correctly'));
+  }
+
+  const authorization = req.get('authorization') || '';
+  const apiKey = req.get('x-api-key');
+
+  try {
+    if (authorization.startsWith('Bearer ')) {
+      req.actor = verifyBearerToken(authorization.slice('Bearer '.length).trim(), config);
+    } else if (apiKey) {
+      req.actor = verifyApiKey(apiKey, config);
+    } else {
+      res.set('WWW-Authenticate', 'Bearer');
+      return next(new UnauthorizedError('Authentication required'));
+    }
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return next(new UnauthorizedError(`Invalid credentials: ${error.message}`));
+  }
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  getAuthConfig,
+  resetAuthConfig
+};
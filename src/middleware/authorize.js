@@ -0,0 +1,78 @@
+const { groups } = require('../repositories');
+const accessService = require('../services/accessService');
+const groupService = require('../services/groupService');
+const { hasPermission } = require('../services/permissions');
+const { hasRole } = require('../services/groupRoles');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Require the authenticated caller to hold a permission on the resource
+ * identified by the `id` route parameter
+ *
+ * Service accounts are trusted integrations and are not subject to share
+ * permissions. The resolved permissions are attached as `req.access`.
+ */
+function requireResourcePermission(permission) {
+  return async (req, res, next) => {
+    if (req.actor.type === 'service') {
+      return next();
+    }
+
+    try {
+      const access = await accessService.getEffectivePermissions(req.params.id, req.actor.id);
+
+      if (!hasPermission(access.permissions, permission)) {
+        throw new ForbiddenError(`Missing '${permission}' permission on resource ${req.params.id}`);
+      }
+
+      req.access = access;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Require the authenticated caller to hold at least `role` in a group
+ *
+ * The group id is read from the `id` route parameter unless `getGroupId`
+ * says otherwise. Service accounts bypass the check; for everyone else the
+ * caller's membership is attached as `req.groupMembership`.
+ */
+function requireGroupRole(role, getGroupId = req => req.params.id) {
+  return async (req, res, next) => {
+    if (req.actor.type === 'service') {
+      return next();
+    }
+
+    try {
+      const groupId = getGroupId(req);
+      if (!groupId) {
+        throw new ValidationError('groupId is required');
+      }
+
+      const [group, membership] = await Promise.all([
+        groups.get(groupId),
+        groupService.getMembership(groupId, req.actor.id)
+      ]);
+      if (!group) {
+        throw new NotFoundError('Group not found');
+      }
+
+      if (!membership || !hasRole(membership.role, role)) {
+        throw new ForbiddenError(`Requires the '${role}' role in group ${groupId}`);
+      }
+
+      req.groupMembership = membership;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  requireResourcePermission,
+  requireGroupRole
+};
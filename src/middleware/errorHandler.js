@@ -0,0 +1,44 @@
+const { AppError, NotFoundError, ValidationError } = require('../utils/errors');
+
+/**
+ * Build the JSON error envelope shared by every error response
+ */
+function errorBody(code, message, details) {
+  return { error: { code, message, ...(details !== undefined && { details }) } };
+}
+
+/**
+ * Fallback for requests that match no route
+ */
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
+}
+
+/**
+ * Central error middleware
+ *
+ * AppErrors map to their status and code. Malformed JSON bodies are reported
+ * as validation errors. Anything else is logged and answered with a generic
+ * 500 so internal messages (e.g. from DynamoDB) never reach clients outside
+ * development.
+ */
+function errorHandler(err, req, res, next) {
+  let error = err;
+  if (err.type === 'entity.parse.failed') {
+    error = new ValidationError('Request body is not valid JSON');
+  }
+
+  if (error instanceof AppError) {
+    return res.status(error.status).json(errorBody(error.code, error.message, error.details));
+  }
+
+  console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+  const message = process.env.NODE_ENV === 'development' ? err.message : 'Internal server error';
+  res.status(500).json(errorBody('INTERNAL_ERROR', message));
+}
+
+module.exports = {
+  errorBody,
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,192 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('../utils/errors');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Request parts checked against an operation, in the order errors are reported
+const LOCATIONS = ['params', 'query', 'body'];
+
+function createAjv(options) {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  return ajv;
+}
+
+/**
+ * Turn an OpenAPI path template into a matcher
+ * e.g. `/resource/{id}/share` matches `/resource/doc1/share` with `{ id: 'doc1' }`
+ */
+function compilePath(template) {
+  const names = [];
+  const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}$`), names };
+}
+
+function resolveParameter(parameter, spec) {
+  if (!parameter.$ref) {
+    return parameter;
+  }
+  const name = parameter.$ref.replace('#/components/parameters/', '');
+  return spec.components.parameters[name];
+}
+
+/**
+ * Build an object schema from the operation's `in: path` or `in: query` parameters
+ */
+function parametersSchema(parameters, location) {
+  const inLocation = parameters.filter(parameter => parameter.in === location);
+  if (inLocation.length === 0) {
+    return null;
+  }
+  return {
+    type: 'object',
+    properties: Object.fromEntries(inLocation.map(parameter => [parameter.name, parameter.schema || {}])),
+    required: inLocation.filter(parameter => parameter.required).map(parameter => parameter.name)
+  };
+}
+
+/**
+ * Dotted path of the field an Ajv error is about, prefixed with its location
+ * e.g. `body.members.0.role`; missing properties name the property itself
+ */
+function fieldOf(location, error) {
+  const segments = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+  return [location, ...segments].join('.');
+}
+
+function describe(error) {
+  if (error.keyword === 'required') {
+    return 'is required';
+  }
+  if (error.keyword === 'enum') {
+    return `must be one of ${error.params.allowedValues.join(', ')}`;
+  }
+  return error.message;
+}
+
+/**
+ * Validate values against a schema from the specification, e.g. one row of an import
+ * Returns a function listing `{ field, message }` per violation; fields are prefixed with `location`
+ */
+function createSchemaValidator(spec, schema, location) {
+  const validate = createAjv().compile({ allOf: [schema], components: spec.components });
+  return value => (validate(value)
+    ? []
+    : validate.errors.map(error => ({ field: fieldOf(location, error), message: describe(error) })));
+}
+
+/**
+ * Validate requests against the OpenAPI specification
+ *
+ * Path parameters, query strings and JSON bodies are checked against the
+ * schemas documented for the matching operation; violations are reported as
+ * a ValidationError listing every offending field in `details.errors`.
+ * Requests for routes the specification does not document pass through
+ * untouched. Mount after the routers' base path so `req.baseUrl` is set.
+ */
+function createRequestValidator(spec) {
+  // Query strings and path segments are always strings; coerce copies so
+  // `limit=10` satisfies `type: integer` without changing `req.query`
+  const coercing = createAjv({ coerceTypes: true });
+  const plain = createAjv();
+
+  // Literal segments win over parameters, e.g. /resources/with-user-count over /resources/{id}
+  const routes = Object.entries(spec.paths || {})
+    .map(([template, operations]) => ({ template, operations, ...compilePath(template) }))
+    .sort((a, b) => a.names.length - b.names.length);
+
+  const compiled = new Map();
+
+  // Schemas are compiled on first use so cold starts only pay for the routes they serve
+  function validatorsFor(template, method, operation) {
+    const key = `${method} ${template}`;
+    if (!compiled.has(key)) {
+      const parameters = (operation.parameters || []).map(parameter => resolveParameter(parameter, spec));
+      const body = operation.requestBody
+        && operation.requestBody.content
+        && operation.requestBody.content['application/json'];
+      // Wrapping each schema next to `components` lets `#/components/...` refs resolve
+      const compile = (ajv, schema) => schema && ajv.compile({ allOf: [schema], components: spec.components });
+
+      compiled.set(key, {
+        params: compile(coercing, parametersSchema(parameters, 'path')),
+        query: compile(coercing, parametersSchema(parameters, 'query')),
+        body: compile(plain, body && body.schema)
+      });
+    }
+    return compiled.get(key);
+  }
+
+  function match(method, path) {
+    for (const route of routes) {
+      const operation = route.operations[method];
+      const found = operation && route.regex.exec(path);
+      if (found) {
+        const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(found[index + 1])]));
+        return { validators: validatorsFor(route.template, method, operation), params };
+      }
+    }
+    return null;
+  }
+
+  return (req, res, next) => {
+    const method = req.method.toLowerCase();
+    if (!HTTP_METHODS.includes(method)) {
+      return next();
+    }
+
+    const path = `${req.baseUrl}${req.path}`.replace(/(.)\/$/, '$1');
+    let matched;
+    try {
+      matched = match(method, path);
+    } catch (error) {
+      // Malformed percent-encoding in a path parameter
+      return next(new ValidationError(`Invalid path: ${error.message}`));
+    }
+    if (!matched) {
+      return next();
+    }
+
+    const { validators, params } = matched;
+    // A missing body is checked as `{}` so its required fields are reported
+    const values = {
+      params: { ...params },
+      query: { ...req.query },
+      body: req.body === undefined ? {} : req.body
+    };
+
+    const errors = [];
+    for (const location of LOCATIONS) {
+      const validate = validators[location];
+      if (validate && !validate(values[location])) {
+        errors.push(...validate.errors.map(error => ({
+          location,
+          field: fieldOf(location, error),
+          message: describe(error)
+        })));
+      }
+    }
+
+    if (errors.length > 0) {
+      const [first] = errors;
+      const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+      return next(new ValidationError(`Invalid request: ${first.field} ${first.message}${more}`, {
+        details: { errors }
+      }));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createRequestValidator,
+  createSchemaValidator
+};
@@ -0,0 +1,44 @@
+const { UserEmail } = require('../models');
+const { users } = require('../repositories/dynamodb');
+const { normalizeEmail } = require('../utils/email');
+
+/**
+ * Reserve the lower-cased email of users created before emails were unique
+ *
+ * Stored emails are lower-cased along the way. Users whose address is already
+ * reserved by another user are reported on every run, dry or not, and left
+ * unchanged for someone to resolve by hand; they are not counted as changed.
+ * Not reversible: new users rely on the reservations.
+ */
+module.exports = {
+  id: '001-reserve-user-emails',
+  description: 'Reserve the lower-cased email of every user',
+  table: 'users',
+  entity: 'user',
+
+  async needsUp(user, { log }) {
+    const email = normalizeEmail(user.email);
+    const reservation = await UserEmail.get({ email }).go();
+    if (!reservation.data) {
+      return true;
+    }
+    if (reservation.data.userId !== user.userId) {
+      log(`⚠️  ${user.userId} shares ${email} with ${reservation.data.userId}; resolve by hand`);
+      return false;
+    }
+    return email !== user.email;
+  },
+
+  async up(user, { log }) {
+    const email = normalizeEmail(user.email);
+    const { heldBy } = await users.reserveEmail(email, user.userId);
+    if (heldBy !== user.userId) {
+      // Reserved by another user since needsUp looked
+      log(`⚠️  ${user.userId} shares ${email} with ${heldBy}; resolve by hand`);
+      return;
+    }
+    if (email !== user.email) {
+      await users.update(user.userId, { email });
+    }
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Data migrations, applied in this order by `scripts/migrate.js`
+ *
+ * Each module exports:
+ * - `id`: unique and sortable, e.g. `002-add-resource-tags`; never renamed once applied
+ * - `description`: one line shown by `status`
+ * - `table`: suffix of the table whose items are visited, e.g. `resources`
+ * - `entity`, `version` (optional): only visit items of this ElectroDB entity (and version)
+ * - `needsUp(item, { log })`: whether the raw item still needs the change; also what dry runs count
+ * - `up(item, { log })`: transform one item
+ * - `needsDown(item, { log })`, `down(item, { log })` (optional): undo it; without them the migration cannot be reverted
+ *
+ * Items may be visited more than once when an interrupted run resumes, so
+ * `needsUp`/`needsDown` must turn false once an item has been transformed.
+ * Items the migration cannot transform must also return false there, and are
+ * reported through `log` instead of being counted as changed.
+ */
+module.exports = [
+  require('./001-reserve-user-emails')
+];
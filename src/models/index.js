@@ -1,11 +1,11 @@
-require('dotenv').config();
-const AWS = require('aws-sdk');
-const { Entity } = require('electrodb');
+const { randomUUID } = require('crypto');
+const { Entity, Service } = require('electrodb');
+const { PERMISSIONS } = require('../services/permissions');
+const { GROUP_ROLES } = require('../services/groupRoles');
+const { createDocumentClient, tableName } = require('../utils/dynamodb');
 
-// Initialize DynamoDB client
-const client = new AWS.DynamoDB.DocumentClient({
-  region: process.env.AWS_REGION || 'us-east-1',
-});
+// Initialize DynamoDB client (honours DYNAMODB_ENDPOINT for local development)
+const client = createDocumentClient();
 
 // Users Entity
 const User = new Entity({
@@ -35,6 +35,12 @@ const User = new Entity({
       type: 'string',
       default: () => new Date().toISOString(),
     },
+    createdBy: {
+      type: 'string',
+    },
+    updatedBy: {
+      type: 'string',
+    },
   },
   indexes: {
     primary: {
@@ -59,7 +65,45 @@ const User = new Entity({
       },
     },
   },
-}, { client, table: process.env.DYNAMODB_TABLE_PREFIX + '-users' });
+}, { client, table: tableName('users') });
+
+// Email reservation: one item per (lower-cased) email, naming the user that holds it
+const UserEmail = new Entity({
+  model: {
+    entity: 'user-email',
+    version: '1',
+    service: 'resource-sharing',
+  },
+  attributes: {
+    email: {
+      type: 'string',
+      required: true,
+    },
+    userId: {
+      type: 'string',
+      required: true,
+    },
+    createdAt: {
+      type: 'string',
+      default: () => new Date().toISOString(),
+    },
+  },
+  indexes: {
+    primary: {
+      pk: {
+        field: 'pk',
+        composite: ['email'],
+      },
+      sk: {
+        field: 'sk',
+        composite: [],
+      },
+    },
+  },
+}, { client, table: tableName('users') });
+
+// Users and their email reservations are written together in transactions
+const UserDirectory = new Service({ user: User, userEmail: UserEmail });
 
 // Groups Entity
 const Group = new Entity({
@@ -88,6 +132,12 @@ const Group = new Entity({
       type: 'string',
       default: () => new Date().toISOString(),
     },
+    createdBy: {
+      type: 'string',
+    },
+    updatedBy: {
+      type: 'string',
+    },
   },
   indexes: {
     primary: {
@@ -101,7 +151,7 @@ const Group = new Entity({
       },
     },
   },
-}, { client, table: process.env.DYNAMODB_TABLE_PREFIX + '-groups' });
+}, { client, table: tableName('groups') });
 
 // User-Group Membership Entity
 const UserGroup = new Entity({
@@ -123,6 +173,14 @@ const UserGroup = new Entity({
       type: 'string',
       default: () => new Date().toISOString(),
     },
+    addedBy: {
+      type: 'string',
+    },
+    // Admins manage members; owners also manage admins and owners
+    role: {
+      type: GROUP_ROLES,
+      default: 'member',
+    },
   },
   indexes: {
     primary: {
@@ -147,7 +205,56 @@ const UserGroup = new Entity({
       },
     },
   },
-}, { client, table: process.env.DYNAMODB_TABLE_PREFIX + '-users' });
+}, { client, table: tableName('users') });
+
+// Group-Group nesting: members of the child group are also members of the parent
+const GroupNesting = new Entity({
+  model: {
+    entity: 'group-nesting',
+    version: '1',
+    service: 'resource-sharing',
+  },
+  attributes: {
+    parentGroupId: {
+      type: 'string',
+      required: true,
+    },
+    childGroupId: {
+      type: 'string',
+      required: true,
+    },
+    addedAt: {
+      type: 'string',
+      default: () => new Date().toISOString(),
+    },
+    addedBy: {
+      type: 'string',
+    },
+  },
+  indexes: {
+    primary: {
+      pk: {
+        field: 'pk',
+        composite: ['parentGroupId'],
+      },
+      sk: {
+        field: 'sk',
+        composite: ['childGroupId'],
+      },
+    },
+    byChild: {
+      index: 'gsi1',
+      pk: {
+        field: 'gsi1pk',
+        composite: ['childGroupId'],
+      },
+      sk: {
+        field: 'gsi1sk',
+        composite: ['parentGroupId'],
+      },
+    },
+  },
+}, { client, table: tableName('groups') });
 
 // Resources Entity
 const Resource = new Entity({
@@ -188,6 +295,12 @@ const Resource = new Entity({
       type: 'string',
       default: () => new Date().toISOString(),
     },
+    createdBy: {
+      type: 'string',
+    },
+    updatedBy: {
+      type: 'string',
+    },
   },
   indexes: {
     primary: {
@@ -223,7 +336,7 @@ const Resource = new Entity({
       },
     },
   },
-}, { client, table: process.env.DYNAMODB_TABLE_PREFIX + '-resources' });
+}, { client, table: tableName('resources') });
 
 // Resource Sharing Entity
 const ResourceSharing = new Entity({
@@ -258,10 +371,18 @@ const ResourceSharing = new Entity({
     permissions: {
       type: 'list',
       items: {
-        type: 'string',
+        type: PERMISSIONS,
       },
       default: ['read'],
     },
+    // Optional ISO timestamp after which the rule no longer grants access
+    expiresAt: {
+      type: 'string',
+    },
+    // Epoch seconds copy of expiresAt used as the table's DynamoDB TTL attribute
+    ttl: {
+      type: 'number',
+    },
   },
   indexes: {
     primary: {
@@ -297,13 +418,309 @@ const ResourceSharing = new Entity({
       },
     },
   },
-}, { client, table: process.env.DYNAMODB_TABLE_PREFIX + '-sharing' });
+}, { client, table: tableName('sharing') });
+
+// Materialised access counts per resource (reporting)
+const ResourceStats = new Entity({
+  model: {
+    entity: 'resource-stats',
+    version: '1',
+    service: 'resource-sharing',
+  },
+  attributes: {
+    resourceId: {
+      type: 'string',
+      required: true,
+    },
+    // Users with explicit (direct or group) access; global access is counted separately
+    userCount: {
+      type: 'number',
+      default: 0,
+    },
+    updatedAt: {
+      type: 'string',
+      default: () => new Date().toISOString(),
+    },
+  },
+  indexes: {
+    primary: {
+      pk: {
+        field: 'pk',
+        composite: ['resourceId'],
+      },
+      sk: {
+        field: 'sk',
+        composite: [],
+      },
+    },
+  },
+}, { client, table: tableName('stats') });
+
+// Materialised access counts per user (reporting)
+const UserStats = new Entity({
+  model: {
+    entity: 'user-stats',
+    version: '1',
+    service: 'resource-sharing',
+  },
+  attributes: {
+    userId: {
+      type: 'string',
+      required: true,
+    },
+    // Non-global resources shared with the user directly or through groups
+    sharedResourceCount: {
+      type: 'number',
+      default: 0,
+    },
+    updatedAt: {
+      type: 'string',
+      default: () => new Date().toISOString(),
+    },
+  },
+  indexes: {
+    primary: {
+      pk: {
+        field: 'pk',
+        composite: ['userId'],
+      },
+      sk: {
+        field: 'sk',
+        composite: [],
+      },
+    },
+  },
+}, { client, table: tableName('stats') });
+
+// System wide counters such as the total number of users
+const Counter = new Entity({
+  model: {
+    entity: 'counter',
+    version: '1',
+    service: 'resource-sharing',
+  },
+  attributes: {
+    counterId: {
+      type: 'string',
+      required: true,
+    },
+    value: {
+      type: 'number',
+      default: 0,
+    },
+    updatedAt: {
+      type: 'string',
+      default: () => new Date().toISOString(),
+    },
+  },
+  indexes: {
+    primary: {
+      pk: {
+        field: 'pk',
+        composite: ['counterId'],
+      },
+      sk: {
+        field: 'sk',
+        composite: [],
+      },
+    },
+  },
+}, { client, table: tableName('stats') });
+
+// Append-only audit trail of sharing, membership and ownership changes
+const AuditLog = new Entity({
+  model: {
+    entity: 'audit-log',
+    version: '1',
+    service: 'resource-sharing',
+  },
+  attributes: {
+    auditId: {
+      type: 'string',
+      required: true,
+      readOnly: true,
+      default: () => randomUUID(),
+    },
+    timestamp: {
+      type: 'string',
+      required: true,
+      readOnly: true,
+      default: () => new Date().toISOString(),
+    },
+    action: {
+      type: [
+        'share.create',
+        'share.update',
+        'share.delete',
+        'share.expire',
+        'membership.add',
+        'membership.remove',
+        'membership.update',
+        'subgroup.add',
+        'subgroup.remove',
+        'ownership.transfer',
+        'resource.delete',
+        'user.delete',
+        'group.delete',
+      ],
+      required: true,
+      readOnly: true,
+    },
+    actorId: {
+      type: 'string',
+      required: true,
+      readOnly: true,
+    },
+    resourceId: {
+      type: 'string',
+      readOnly: true,
+    },
+    userId: {
+      type: 'string',
+      readOnly: true,
+    },
+    groupId: {
+      type: 'string',
+      readOnly: true,
+    },
+    before: {
+      type: 'any',
+      readOnly: true,
+    },
+    after: {
+      type: 'any',
+      readOnly: true,
+    },
+  },
+  indexes: {
+    primary: {
+      pk: {
+        field: 'pk',
+        composite: ['auditId'],
+      },
+      sk: {
+        field: 'sk',
+        composite: [],
+      },
+    },
+    byResource: {
+      index: 'gsi1',
+      pk: {
+        field: 'gsi1pk',
+        composite: ['resourceId'],
+      },
+      sk: {
+        field: 'gsi1sk',
+        composite: ['timestamp', 'auditId'],
+      },
+    },
+    byUser: {
+      index: 'gsi2',
+      pk: {
+        field: 'gsi2pk',
+        composite: ['userId'],
+      },
+      sk: {
+        field: 'gsi2sk',
+        composite: ['timestamp', 'auditId'],
+      },
+    },
+    byGroup: {
+      index: 'gsi3',
+      pk: {
+        field: 'gsi3pk',
+        composite: ['groupId'],
+      },
+      sk: {
+        field: 'gsi3sk',
+        composite: ['timestamp', 'auditId'],
+      },
+    },
+    byActor: {
+      index: 'gsi4',
+      pk: {
+        field: 'gsi4pk',
+        composite: ['actorId'],
+      },
+      sk: {
+        field: 'gsi4sk',
+        composite: ['timestamp', 'auditId'],
+      },
+    },
+  },
+}, { client, table: tableName('audit') });
+
+// Progress of the data migrations in src/migrations (see scripts/migrate.js)
+const Migration = new Entity({
+  model: {
+    entity: 'migration',
+    version: '1',
+    service: 'resource-sharing',
+  },
+  attributes: {
+    migrationId: {
+      type: 'string',
+      required: true,
+    },
+    description: {
+      type: 'string',
+    },
+    // Applying or reverting until the last batch is done; the record is removed once reverted
+    status: {
+      type: ['applying', 'applied', 'reverting'],
+      required: true,
+    },
+    // Scan position after the last completed batch, so an interrupted run resumes there
+    cursor: {
+      type: 'string',
+    },
+    scanned: {
+      type: 'number',
+      default: 0,
+    },
+    changed: {
+      type: 'number',
+      default: 0,
+    },
+    startedAt: {
+      type: 'string',
+      default: () => new Date().toISOString(),
+    },
+    appliedAt: {
+      type: 'string',
+    },
+    updatedAt: {
+      type: 'string',
+      default: () => new Date().toISOString(),
+    },
+  },
+  indexes: {
+    primary: {
+      pk: {
+        field: 'pk',
+        composite: ['migrationId'],
+      },
+      sk: {
+        field: 'sk',
+        composite: [],
+      },
+    },
+  },
+}, { client, table: tableName('migrations') });
 
 module.exports = {
   User,
+  UserEmail,
+  UserDirectory,
   Group,
   UserGroup,
+  GroupNesting,
   Resource,
   ResourceSharing,
+  ResourceStats,
+  UserStats,
+  Counter,
+  AuditLog,
+  Migration,
   client,
 };
@@ -0,0 +1,176 @@
+const models = require('./index');
+const { tableName } = require('../utils/dynamodb');
+
+// Attributes DynamoDB expires items by, per table suffix
+const TIME_TO_LIVE = {
+  sharing: 'ttl'
+};
+
+/**
+ * Table and index definitions derived from the ElectroDB entities
+ *
+ * Every entity's primary key and secondary indexes are collected per table,
+ * so the tables created by `npm run setup:tables`, the CloudFormation
+ * resources in serverless.yml and `npm run schema:check` all follow the
+ * models. ElectroDB keys are always strings. Each definition has the shape
+ * `ensureTablesExist` uses: `{ suffix, name, keySchema, attributeDefinitions,
+ * globalSecondaryIndexes, timeToLiveAttribute }`.
+ */
+function tableDefinitions() {
+  const prefix = tableName('');
+  const tables = new Map();
+
+  for (const [entityName, entity] of Object.entries(models)) {
+    if (!entity || !entity.schema || !entity.schema.indexes) {
+      continue;
+    }
+
+    const name = entity.getTableName();
+    if (!tables.has(name)) {
+      tables.set(name, {
+        suffix: name.startsWith(prefix) ? name.slice(prefix.length) : name,
+        name,
+        keySchema: null,
+        attributes: new Set(),
+        indexes: new Map()
+      });
+    }
+    const table = tables.get(name);
+
+    for (const index of Object.values(entity.schema.indexes)) {
+      const keySchema = keySchemaFor(index);
+      keySchema.forEach(key => table.attributes.add(key.AttributeName));
+
+      if (!index.index) {
+        assertSameKeys(table.keySchema, keySchema, `${entityName}: primary key of ${name}`);
+        table.keySchema = keySchema;
+        continue;
+      }
+
+      assertSameKeys(table.indexes.get(index.index), keySchema, `${entityName}: index ${index.index} of ${name}`);
+      table.indexes.set(index.index, keySchema);
+    }
+  }
+
+  return [...tables.values()].map(table => {
+    const definition = {
+      suffix: table.suffix,
+      name: table.name,
+      keySchema: table.keySchema,
+      attributeDefinitions: [...table.attributes].map(attribute => ({ AttributeName: attribute, AttributeType: 'S' }))
+    };
+
+    if (table.indexes.size > 0) {
+      definition.globalSecondaryIndexes = [...table.indexes.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([indexName, keySchema]) => ({
+          IndexName: indexName,
+          KeySchema: keySchema,
+          Projection: { ProjectionType: 'ALL' }
+        }));
+    }
+    if (TIME_TO_LIVE[table.suffix]) {
+      definition.timeToLiveAttribute = TIME_TO_LIVE[table.suffix];
+    }
+
+    return definition;
+  });
+}
+
+function keySchemaFor(index) {
+  const keySchema = [{ AttributeName: index.pk.field, KeyType: 'HASH' }];
+  if (index.sk) {
+    keySchema.push({ AttributeName: index.sk.field, KeyType: 'RANGE' });
+  }
+  return keySchema;
+}
+
+function assertSameKeys(existing, keySchema, description) {
+  if (existing && JSON.stringify(existing) !== JSON.stringify(keySchema)) {
+    throw new Error(`${description} uses ${formatKeys(keySchema)}, but another entity uses ${formatKeys(existing)}`);
+  }
+}
+
+function formatKeys(keySchema) {
+  return keySchema.map(key => `${key.AttributeName} (${key.KeyType})`).join(', ');
+}
+
+/**
+ * CloudFormation resources for the tables, referenced from serverless.yml
+ *
+ * Serverless calls this through `${file(...)}`; table names use the
+ * deployment's DYNAMODB_TABLE_PREFIX rather than the local environment.
+ */
+async function cloudFormationResources({ resolveVariable }) {
+  const prefix = await resolveVariable('self:provider.environment.DYNAMODB_TABLE_PREFIX');
+  const resources = {};
+
+  for (const table of tableDefinitions()) {
+    const properties = {
+      TableName: `${prefix}-${table.suffix}`,
+      BillingMode: 'PAY_PER_REQUEST',
+      AttributeDefinitions: table.attributeDefinitions,
+      KeySchema: table.keySchema
+    };
+    if (table.globalSecondaryIndexes) {
+      properties.GlobalSecondaryIndexes = table.globalSecondaryIndexes;
+    }
+    if (table.timeToLiveAttribute) {
+      properties.TimeToLiveSpecification = { AttributeName: table.timeToLiveAttribute, Enabled: true };
+    }
+
+    const logicalId = `${table.suffix.charAt(0).toUpperCase()}${table.suffix.slice(1)}Table`;
+    resources[logicalId] = { Type: 'AWS::DynamoDB::Table', Properties: properties };
+  }
+
+  return { Resources: resources };
+}
+
+/**
+ * Differences between an expected definition and a live table
+ *
+ * `description` is the `Table` returned by DescribeTable and `timeToLive`
+ * the `TimeToLiveDescription` from DescribeTimeToLive. Returns one message
+ * per difference; an empty list means the table matches.
+ */
+function diffTable(table, description, timeToLive = {}) {
+  const problems = [];
+
+  if (formatKeys(description.KeySchema || []) !== formatKeys(table.keySchema)) {
+    problems.push(`key schema is ${formatKeys(description.KeySchema || [])}, expected ${formatKeys(table.keySchema)}`);
+  }
+
+  const liveIndexes = new Map((description.GlobalSecondaryIndexes || []).map(index => [index.IndexName, index]));
+  for (const index of table.globalSecondaryIndexes || []) {
+    const live = liveIndexes.get(index.IndexName);
+    if (!live) {
+      problems.push(`index ${index.IndexName} is missing`);
+      continue;
+    }
+    if (formatKeys(live.KeySchema) !== formatKeys(index.KeySchema)) {
+      problems.push(`index ${index.IndexName} uses ${formatKeys(live.KeySchema)}, expected ${formatKeys(index.KeySchema)}`);
+    }
+    if (live.Projection && live.Projection.ProjectionType !== index.Projection.ProjectionType) {
+      problems.push(`index ${index.IndexName} projects ${live.Projection.ProjectionType}, expected ${index.Projection.ProjectionType}`);
+    }
+    liveIndexes.delete(index.IndexName);
+  }
+  for (const indexName of liveIndexes.keys()) {
+    problems.push(`index ${indexName} is not used by the models`);
+  }
+
+  if (table.timeToLiveAttribute) {
+    const enabled = ['ENABLED', 'ENABLING'].includes(timeToLive.TimeToLiveStatus);
+    if (!enabled || timeToLive.AttributeName !== table.timeToLiveAttribute) {
+      problems.push(`TTL on ${table.timeToLiveAttribute} is not enabled`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  tableDefinitions,
+  cloudFormationResources,
+  diffTable
+};
@@ -0,0 +1,574 @@
+const {
+  User,
+  UserEmail,
+  UserDirectory,
+  Group,
+  UserGroup,
+  GroupNesting,
+  Resource,
+  ResourceSharing,
+  ResourceStats,
+  UserStats,
+  Counter,
+  AuditLog,
+  client
+} = require('../models');
+const { paginate } = require('../utils/pagination');
+const { normalizeEmail } = require('../utils/email');
+const { createUnique, patchExisting, isConditionFailure } = require('../utils/conditionalWrites');
+const { ConflictError, NotFoundError, PreconditionFailedError } = require('../utils/errors');
+
+// Cancellation code DynamoDB reports for a transaction item whose condition failed
+const CONDITION_FAILED = 'ConditionalCheckFailed';
+
+// TransactWriteItems accepts at most 100 items; one slot is the resource itself
+const MAX_TRANSACTION_SHARES = 99;
+
+// Attempts made to process items left unprocessed by BatchGetItem and BatchWriteItem
+const BATCH_ATTEMPTS = 5;
+
+// Filters served from an audit log index, in order of preference when several are given
+const AUDIT_INDEXED_FILTERS = [
+  ['resourceId', 'byResource'],
+  ['groupId', 'byGroup'],
+  ['userId', 'byUser'],
+  ['actorId', 'byActor']
+];
+
+/**
+ * Every item matched by an ElectroDB query or scan
+ */
+async function all(operation, { attributes } = {}) {
+  const result = await operation.go({ pages: 'all', ...(attributes && { attributes }) });
+  return result.data;
+}
+
+async function backoff(attempt, pending, verb) {
+  if (attempt >= BATCH_ATTEMPTS) {
+    throw new Error(`Could not ${verb} ${pending} items after ${BATCH_ATTEMPTS} attempts`);
+  }
+  if (attempt > 0) {
+    await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+  }
+}
+
+/**
+ * Read items with BatchGet, retrying throttled keys
+ * Returns a map of `keyName` to item; missing items are omitted
+ */
+async function batchGet(entity, keyName, ids) {
+  const found = new Map();
+  let keys = [...new Set(ids)].map(id => ({ [keyName]: id }));
+
+  for (let attempt = 0; keys.length > 0; attempt++) {
+    await backoff(attempt, keys.length, 'read');
+    const result = await entity.get(keys).go();
+    result.data.forEach(item => found.set(item[keyName], item));
+    keys = result.unprocessed;
+  }
+
+  return found;
+}
+
+/**
+ * Delete items through BatchWriteItem, retrying throttled deletes
+ */
+async function batchDelete(entity, keys) {
+  let pending = keys;
+
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    await backoff(attempt, pending.length, 'delete');
+    const result = await entity.delete(pending).go();
+    pending = result.unprocessed;
+  }
+}
+
+const shareKey = ({ resourceId, shareType, targetId }) => ({ resourceId, shareType, targetId });
+
+function transactionFailure(result) {
+  return new Error(`transaction canceled (${result.data.map(write => write.code).join(', ')})`);
+}
+
+/**
+ * Users and the email reservations that keep their addresses unique
+ *
+ * Each user's (lower-cased) email is reserved by a `UserEmail` item written in
+ * the same transaction as the user, so two users can never hold the same
+ * address even under concurrent writes.
+ */
+const users = {
+  async get(userId) {
+    const user = await User.get({ userId }).go();
+    return user.data;
+  },
+
+  list(page) {
+    return paginate(User.scan, page);
+  },
+
+  all(options) {
+    return all(User.scan, options);
+  },
+
+  /**
+   * Count users without returning them
+   * Reuses the ElectroDB scan filter so memberships in the same table are skipped
+   */
+  async count() {
+    const params = { ...User.scan.params(), Select: 'COUNT' };
+    let total = 0;
+    let ExclusiveStartKey;
+
+    do {
+      const page = await client.scan({ ...params, ExclusiveStartKey }).promise();
+      total += page.Count;
+      ExclusiveStartKey = page.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return total;
+  },
+
+  async findByEmail(email) {
+    const matches = await User.query.byEmail({ email }).go();
+    return matches.data[0] || null;
+  },
+
+  /**
+   * Create a user and reserve its email in one transaction
+   */
+  async create(user) {
+    const result = await UserDirectory.transaction.write(({ user: userEntity, userEmail }) => [
+      userEntity.create(user).commit(),
+      userEmail.create({ email: user.email, userId: user.userId, createdAt: user.createdAt }).commit()
+    ]).go();
+
+    if (result.canceled) {
+      const [userWrite, emailWrite] = result.data;
+      if (userWrite.code === CONDITION_FAILED) {
+        throw new ConflictError(`User ${user.userId} already exists`);
+      }
+      if (emailWrite.code === CONDITION_FAILED) {
+        throw new ConflictError(`Email ${user.email} is already in use`);
+      }
+      throw transactionFailure(result);
+    }
+
+    return user;
+  },
+
+  update(userId, changes, { ifMatch } = {}) {
+    return patchExisting(User, { userId }, changes, { ifMatch, label: 'User' });
+  },
+
+  /**
+   * Apply `changes` including a new `email` to the user read as `previous`,
+   * moving the email reservation in the same transaction
+   */
+  async changeEmail(previous, changes, { ifMatch } = {}) {
+    const { userId } = previous;
+    const result = await UserDirectory.transaction.write(({ user, userEmail }) => [
+      // Guard on the version read by the caller so the released reservation is the right one
+      user.patch({ userId })
+        .set(changes)
+        .where((attr, { eq }) => `${eq(attr.email, previous.email)} AND ${eq(attr.updatedAt, previous.updatedAt)}`)
+        .commit(),
+      userEmail.create({ email: changes.email, userId }).commit(),
+      // Users created before reservations existed have none to release
+      userEmail.delete({ email: normalizeEmail(previous.email) })
+        .where((attr, { eq, notExists }) => `${notExists(attr.userId)} OR ${eq(attr.userId, userId)}`)
+        .commit()
+    ]).go();
+
+    if (result.canceled) {
+      const [userWrite, emailWrite] = result.data;
+      if (emailWrite.code === CONDITION_FAILED) {
+        throw new ConflictError(`Email ${changes.email} is already in use`);
+      }
+      if (userWrite.code === CONDITION_FAILED) {
+        const latest = await this.get(userId);
+        if (!latest) {
+          throw new NotFoundError('User not found');
+        }
+        if (ifMatch) {
+          throw new PreconditionFailedError(`Precondition failed: User was modified at ${latest.updatedAt}`);
+        }
+        throw new ConflictError(`User ${userId} was modified concurrently; retry the update`);
+      }
+      throw transactionFailure(result);
+    }
+
+    return { ...previous, ...changes };
+  },
+
+  /**
+   * Delete a user together with its email reservation
+   */
+  async delete(user) {
+    const result = await UserDirectory.transaction.write(({ user: userEntity, userEmail }) => [
+      userEntity.delete({ userId: user.userId }).commit(),
+      userEmail.delete({ email: normalizeEmail(user.email) })
+        .where((attr, { eq, notExists }) => `${notExists(attr.userId)} OR ${eq(attr.userId, user.userId)}`)
+        .commit()
+    ]).go();
+
+    if (result.canceled) {
+      throw new Error(`Could not delete user ${user.userId} (${result.data.map(write => write.code).join(', ')})`);
+    }
+  },
+
+  /**
+   * Reserve an email for a user unless it is already reserved
+   * Returns whether a reservation was made and the user holding it afterwards
+   */
+  async reserveEmail(email, userId) {
+    try {
+      await UserEmail.create({ email, userId }).go();
+      return { reserved: true, heldBy: userId };
+    } catch (error) {
+      if (!isConditionFailure(error)) {
+        throw error;
+      }
+      const reservation = await UserEmail.get({ email }).go();
+      return { reserved: false, heldBy: reservation.data.userId };
+    }
+  }
+};
+
+/**
+ * Groups and the nestings that place groups inside other groups
+ */
+const groups = {
+  async get(groupId) {
+    const group = await Group.get({ groupId }).go();
+    return group.data;
+  },
+
+  list(page) {
+    return paginate(Group.scan, page);
+  },
+
+  all() {
+    return all(Group.scan);
+  },
+
+  create(group) {
+    return createUnique(Group, group, `Group ${group.groupId}`);
+  },
+
+  update(groupId, changes, { ifMatch } = {}) {
+    return patchExisting(Group, { groupId }, changes, { ifMatch, label: 'Group' });
+  },
+
+  async delete(groupId) {
+    await Group.delete({ groupId }).go();
+  },
+
+  async getNesting(parentGroupId, childGroupId) {
+    const nesting = await GroupNesting.get({ parentGroupId, childGroupId }).go();
+    return nesting.data;
+  },
+
+  createNesting(nesting) {
+    return createUnique(GroupNesting, nesting, `Nesting ${nesting.parentGroupId}/${nesting.childGroupId}`);
+  },
+
+  async deleteNesting(parentGroupId, childGroupId) {
+    await GroupNesting.delete({ parentGroupId, childGroupId }).go();
+  },
+
+  deleteNestings(nestings) {
+    return batchDelete(GroupNesting, nestings.map(({ parentGroupId, childGroupId }) => ({ parentGroupId, childGroupId })));
+  },
+
+  /**
+   * Nestings of the groups directly inside `groupId`
+   */
+  findChildren(groupId) {
+    return all(GroupNesting.query.primary({ parentGroupId: groupId }));
+  },
+
+  listChildren(groupId, page) {
+    return paginate(GroupNesting.query.primary({ parentGroupId: groupId }), page);
+  },
+
+  /**
+   * Nestings of the groups directly containing `groupId`
+   */
+  findParents(groupId) {
+    return all(GroupNesting.query.byChild({ childGroupId: groupId }));
+  }
+};
+
+/**
+ * Users' direct memberships of groups
+ */
+const memberships = {
+  async get(userId, groupId) {
+    const membership = await UserGroup.get({ userId, groupId }).go();
+    return membership.data;
+  },
+
+  all() {
+    return all(UserGroup.scan);
+  },
+
+  findByUser(userId) {
+    return all(UserGroup.query.primary({ userId }));
+  },
+
+  findByGroup(groupId) {
+    return all(UserGroup.query.byGroup({ groupId }));
+  },
+
+  listByGroup(groupId, page) {
+    return paginate(UserGroup.query.byGroup({ groupId }), page);
+  },
+
+  create(membership) {
+    return createUnique(UserGroup, membership, `Membership ${membership.userId}/${membership.groupId}`);
+  },
+
+  update(userId, groupId, changes) {
+    return patchExisting(UserGroup, { userId, groupId }, changes, { label: 'Membership' });
+  },
+
+  async delete(userId, groupId) {
+    await UserGroup.delete({ userId, groupId }).go();
+  },
+
+  deleteMany(items) {
+    return batchDelete(UserGroup, items.map(({ userId, groupId }) => ({ userId, groupId })));
+  }
+};
+
+const resources = {
+  async get(resourceId) {
+    const resource = await Resource.get({ resourceId }).go();
+    return resource.data;
+  },
+
+  /**
+   * Map of resourceId to resource, read in batches; missing resources are omitted
+   */
+  getMany(resourceIds) {
+    return batchGet(Resource, 'resourceId', resourceIds);
+  },
+
+  list(page) {
+    return paginate(Resource.scan, page);
+  },
+
+  all(options) {
+    return all(Resource.scan, options);
+  },
+
+  findGlobal(options) {
+    return all(Resource.query.globalResources({ isGlobal: true }), options);
+  },
+
+  findByOwner(ownerId) {
+    return all(Resource.query.byOwner({ ownerId }));
+  },
+
+  listByOwner(ownerId, page) {
+    return paginate(Resource.query.byOwner({ ownerId }), page);
+  },
+
+  create(resource) {
+    return createUnique(Resource, resource, `Resource ${resource.resourceId}`);
+  },
+
+  update(resourceId, changes, { ifMatch } = {}) {
+    return patchExisting(Resource, { resourceId }, changes, { ifMatch, label: 'Resource' });
+  },
+
+  /**
+   * Give `resource` a new owner, applying `changes` alongside
+   */
+  changeOwner(resource, ownerId, changes) {
+    // createdAt is part of the byOwner index key and must accompany ownerId
+    return this.update(resource.resourceId, { ...changes, ownerId, createdAt: resource.createdAt });
+  },
+
+  /**
+   * Delete a resource together with the given sharing rules
+   *
+   * When the rules fit in a single transaction everything is removed
+   * atomically. Otherwise rules are deleted first and the resource last, so
+   * an interrupted delete leaves the resource in place and can simply be
+   * retried without ever orphaning rules.
+   */
+  async delete(resourceId, shares = []) {
+    const shareKeys = shares.map(shareKey);
+
+    if (shareKeys.length <= MAX_TRANSACTION_SHARES) {
+      await client.transactWrite({
+        TransactItems: [
+          ...shareKeys.map(key => ({ Delete: ResourceSharing.delete(key).params() })),
+          { Delete: Resource.delete({ resourceId }).params() }
+        ]
+      }).promise();
+    } else {
+      await batchDelete(ResourceSharing, shareKeys);
+      await Resource.delete({ resourceId }).go();
+    }
+  }
+};
+
+/**
+ * Sharing rules, keyed by `{ resourceId, shareType, targetId }`
+ */
+const shares = {
+  async get(key) {
+    const rule = await ResourceSharing.get(shareKey(key)).go();
+    return rule.data;
+  },
+
+  findByResource(resourceId) {
+    return all(ResourceSharing.query.primary({ resourceId }));
+  },
+
+  /**
+   * Rules naming `targetId`, of any share type
+   */
+  findByTarget(targetId) {
+    return all(ResourceSharing.query.byTarget({ targetId }));
+  },
+
+  all() {
+    return all(ResourceSharing.scan);
+  },
+
+  /**
+   * Rules whose `expiresAt` is at or before the given ISO timestamp
+   */
+  findExpired(timestamp) {
+    return all(ResourceSharing.scan.where(({ expiresAt }, { lte }) => lte(expiresAt, timestamp)));
+  },
+
+  create(rule) {
+    return createUnique(ResourceSharing, rule, 'Sharing rule');
+  },
+
+  /**
+   * Create or replace a rule
+   */
+  async put(rule) {
+    const result = await ResourceSharing.put(rule).go();
+    return result.data;
+  },
+
+  async delete(key) {
+    await ResourceSharing.delete(shareKey(key)).go();
+  },
+
+  deleteMany(rules) {
+    return batchDelete(ResourceSharing, rules.map(shareKey));
+  }
+};
+
+/**
+ * Materialised access counts and system counters used for reporting
+ */
+const stats = {
+  async getCounter(counterId) {
+    const counter = await Counter.get({ counterId }).go();
+    return counter.data ? counter.data.value : 0;
+  },
+
+  async adjustCounter(counterId, delta) {
+    await Counter.update({ counterId })
+      .add({ value: delta })
+      .set({ updatedAt: new Date().toISOString() })
+      .go();
+  },
+
+  async setCounter(counterId, value) {
+    await Counter.put({ counterId, value, updatedAt: new Date().toISOString() }).go();
+  },
+
+  getResourceStats(resourceIds) {
+    return batchGet(ResourceStats, 'resourceId', resourceIds);
+  },
+
+  async putResourceStats(item) {
+    const result = await ResourceStats.put(item).go();
+    return result.data;
+  },
+
+  async deleteResourceStats(resourceId) {
+    await ResourceStats.delete({ resourceId }).go();
+  },
+
+  getUserStats(userIds) {
+    return batchGet(UserStats, 'userId', userIds);
+  },
+
+  async putUserStats(item) {
+    const result = await UserStats.put(item).go();
+    return result.data;
+  },
+
+  async deleteUserStats(userId) {
+    await UserStats.delete({ userId }).go();
+  }
+};
+
+const audit = {
+  async append(entry) {
+    const result = await AuditLog.create(entry).go();
+    return result.data;
+  },
+
+  /**
+   * Page through entries matching every given filter
+   *
+   * The most selective id filter picks the index to query, newest first;
+   * remaining filters are applied to the results. Without any id filter the
+   * whole log is scanned.
+   */
+  list(filters, page) {
+    const { from, to } = filters;
+    const indexed = AUDIT_INDEXED_FILTERS.find(([attribute]) => filters[attribute]);
+    let operation;
+
+    if (indexed) {
+      const [attribute, indexName] = indexed;
+      operation = AuditLog.query[indexName]({ [attribute]: filters[attribute] });
+      if (from && to) {
+        operation = operation.between({ timestamp: from }, { timestamp: to });
+      } else if (from) {
+        operation = operation.gte({ timestamp: from });
+      } else if (to) {
+        operation = operation.lte({ timestamp: to });
+      }
+    } else {
+      operation = AuditLog.scan;
+    }
+
+    const remaining = AUDIT_INDEXED_FILTERS
+      .map(([attribute]) => attribute)
+      .filter(attribute => filters[attribute] && (!indexed || attribute !== indexed[0]));
+
+    operation = operation.where((attributes, { eq, gte, lte }) => [
+      ...remaining.map(attribute => eq(attributes[attribute], filters[attribute])),
+      ...(filters.action ? [eq(attributes.action, filters.action)] : []),
+      // Key conditions already bound the timestamp on index queries
+      ...(!indexed && from ? [gte(attributes.timestamp, from)] : []),
+      ...(!indexed && to ? [lte(attributes.timestamp, to)] : [])
+    ].join(' AND '));
+
+    // A scan has no sort order, so only index queries are returned newest first
+    return paginate(operation, page, indexed ? { order: 'desc' } : {});
+  }
+};
+
+module.exports = {
+  users,
+  groups,
+  memberships,
+  resources,
+  shares,
+  stats,
+  audit
+};
@@ -0,0 +1,34 @@
+require('dotenv').config();
+
+/**
+ * Data access for the service layer
+ *
+ * Services and routes read and write users, groups (and their nestings),
+ * memberships, resources, shares, reporting stats and the audit log through
+ * these repositories rather than the ElectroDB models, so the storage behind
+ * them can be swapped. STORAGE_DRIVER selects it:
+ *
+ * - `dynamodb` (default): the ElectroDB models in `src/models`
+ * - `memory`: plain in-process maps, for tests and trying the API without
+ *   DynamoDB; everything is lost on restart
+ *
+ * Both drivers share one interface. `get` returns an item or null, `find*`
+ * and `all` return every matching item, and `list*` return one page as
+ * `{ items, nextCursor }`. Conditional writes report failures as AppErrors:
+ * `create` throws ConflictError for an existing key and `update` throws
+ * NotFoundError, or PreconditionFailedError when `ifMatch` no longer matches.
+ */
+const DRIVERS = {
+  dynamodb: () => require('./dynamodb'),
+  memory: () => require('./memory').createMemoryRepositories()
+};
+
+function storageDriver() {
+  const driver = process.env.STORAGE_DRIVER || 'dynamodb';
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}"; expected one of ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return driver;
+}
+
+module.exports = DRIVERS[storageDriver()]();
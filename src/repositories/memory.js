@@ -0,0 +1,494 @@
+const { randomUUID } = require('crypto');
+const { normalizeEmail } = require('../utils/email');
+const { assertMatches } = require('../utils/conditionalWrites');
+const { ConflictError, NotFoundError, PreconditionFailedError } = require('../utils/errors');
+
+const now = () => new Date().toISOString();
+
+// Attribute values are copied in and out so callers never share state with the store
+const copy = item => (item ? structuredClone(item) : null);
+
+// Like DynamoDB, unset attributes are not stored at all
+const compact = item => Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined));
+
+const pick = (item, attributes) => (attributes ? Object.fromEntries(attributes.map(name => [name, item[name]])) : item);
+
+function compareBy(attributes) {
+  return (a, b) => {
+    for (const attribute of attributes) {
+      const left = String(a[attribute]);
+      const right = String(b[attribute]);
+      if (left !== right) {
+        return left < right ? -1 : 1;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Serve one page of already sorted items
+ *
+ * Cursors are base64url encoded JSON like the DynamoDB ones and carry the
+ * sort values of the last item returned, so items written between pages
+ * neither shift nor repeat later pages.
+ */
+function paginateItems(items, orderBy, { limit, cursor }, { descending = false } = {}) {
+  const compare = compareBy(orderBy);
+  let remaining = items;
+  if (cursor) {
+    const after = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    remaining = items.filter(item => (descending ? compare(item, after) < 0 : compare(item, after) > 0));
+  }
+
+  const page = remaining.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    items: page,
+    nextCursor: remaining.length > limit
+      ? Buffer.from(JSON.stringify(pick(last, orderBy))).toString('base64url')
+      : null
+  };
+}
+
+/**
+ * Items of one kind keyed by `keyAttributes`, with ElectroDB-style defaults
+ */
+class Collection {
+  constructor(keyAttributes, defaults = () => ({})) {
+    this.keyAttributes = keyAttributes;
+    this.defaults = defaults;
+    this.items = new Map();
+  }
+
+  _key(item) {
+    return JSON.stringify(this.keyAttributes.map(attribute => item[attribute]));
+  }
+
+  get(key) {
+    return copy(this.items.get(this._key(key)));
+  }
+
+  has(key) {
+    return this.items.has(this._key(key));
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  /**
+   * Create an item, reporting an existing one with the same key as a conflict
+   */
+  create(item, label) {
+    if (this.has(item)) {
+      throw new ConflictError(`${label} already exists`);
+    }
+    return this.put(item);
+  }
+
+  /**
+   * Create or replace an item
+   */
+  put(item) {
+    const stored = compact({ ...this.defaults(), ...item });
+    this.items.set(this._key(stored), stored);
+    return copy(stored);
+  }
+
+  /**
+   * Update an existing item, optionally only at the `updatedAt` version `ifMatch`
+   */
+  patch(key, changes, { ifMatch, label }) {
+    const current = this.items.get(this._key(key));
+    if (!current) {
+      throw new NotFoundError(`${label} not found`);
+    }
+    assertMatches(current, ifMatch, label);
+
+    const updated = compact({ ...current, ...changes });
+    this.items.set(this._key(key), updated);
+    return copy(updated);
+  }
+
+  delete(key) {
+    this.items.delete(this._key(key));
+  }
+
+  /**
+   * Copies of the items matching `predicate`, sorted by `orderBy`
+   */
+  find(predicate = () => true, orderBy = this.keyAttributes) {
+    return [...this.items.values()]
+      .filter(predicate)
+      .sort(compareBy(orderBy))
+      .map(copy);
+  }
+}
+
+/**
+ * Build a fresh, empty set of repositories that keep everything in process
+ *
+ * Behaves like the DynamoDB repositories, including conditional writes and
+ * email uniqueness, so services can be exercised without a table. Data is
+ * lost when the process exits.
+ */
+function createMemoryRepositories() {
+  const timestamps = () => ({ createdAt: now(), updatedAt: now() });
+
+  const userItems = new Collection(['userId'], timestamps);
+  const emailItems = new Collection(['email'], () => ({ createdAt: now() }));
+  const groupItems = new Collection(['groupId'], timestamps);
+  const nestingItems = new Collection(['parentGroupId', 'childGroupId'], () => ({ addedAt: now() }));
+  const membershipItems = new Collection(['userId', 'groupId'], () => ({ joinedAt: now(), role: 'member' }));
+  const resourceItems = new Collection(['resourceId'], () => ({ isGlobal: false, ...timestamps() }));
+  const shareItems = new Collection(['resourceId', 'shareType', 'targetId'], () => ({
+    sharedAt: now(),
+    permissions: ['read']
+  }));
+  const resourceStatsItems = new Collection(['resourceId'], () => ({ userCount: 0, updatedAt: now() }));
+  const userStatsItems = new Collection(['userId'], () => ({ sharedResourceCount: 0, updatedAt: now() }));
+  const counterItems = new Collection(['counterId'], () => ({ value: 0, updatedAt: now() }));
+  const auditItems = new Collection(['auditId'], () => ({ auditId: randomUUID(), timestamp: now() }));
+
+  const byIds = (collection, keyName, ids) => new Map(
+    [...new Set(ids)]
+      .map(id => collection.get({ [keyName]: id }))
+      .filter(Boolean)
+      .map(item => [item[keyName], item])
+  );
+
+  // Releases a reservation unless another user has since taken it over
+  const releaseEmail = (email, userId) => {
+    const reservation = emailItems.get({ email: normalizeEmail(email) });
+    if (reservation && (!reservation.userId || reservation.userId === userId)) {
+      emailItems.delete(reservation);
+    }
+  };
+
+  const users = {
+    async get(userId) {
+      return userItems.get({ userId });
+    },
+
+    async list(page) {
+      return paginateItems(userItems.find(), ['userId'], page);
+    },
+
+    async all({ attributes } = {}) {
+      return userItems.find().map(user => pick(user, attributes));
+    },
+
+    async count() {
+      return userItems.size;
+    },
+
+    async findByEmail(email) {
+      return userItems.find(user => user.email === email)[0] || null;
+    },
+
+    async create(user) {
+      if (userItems.has(user)) {
+        throw new ConflictError(`User ${user.userId} already exists`);
+      }
+      if (emailItems.has({ email: user.email })) {
+        throw new ConflictError(`Email ${user.email} is already in use`);
+      }
+      emailItems.put({ email: user.email, userId: user.userId, createdAt: user.createdAt });
+      return userItems.put(user);
+    },
+
+    async update(userId, changes, { ifMatch } = {}) {
+      return userItems.patch({ userId }, changes, { ifMatch, label: 'User' });
+    },
+
+    async changeEmail(previous, changes, { ifMatch } = {}) {
+      const { userId } = previous;
+      if (emailItems.has({ email: changes.email })) {
+        throw new ConflictError(`Email ${changes.email} is already in use`);
+      }
+
+      const latest = userItems.get({ userId });
+      if (!latest) {
+        throw new NotFoundError('User not found');
+      }
+      if (latest.email !== previous.email || latest.updatedAt !== previous.updatedAt) {
+        if (ifMatch) {
+          throw new PreconditionFailedError(`Precondition failed: User was modified at ${latest.updatedAt}`);
+        }
+        throw new ConflictError(`User ${userId} was modified concurrently; retry the update`);
+      }
+
+      userItems.patch({ userId }, changes, { label: 'User' });
+      emailItems.put({ email: changes.email, userId });
+      releaseEmail(previous.email, userId);
+      return { ...previous, ...changes };
+    },
+
+    async delete(user) {
+      userItems.delete(user);
+      releaseEmail(user.email, user.userId);
+    },
+
+    async reserveEmail(email, userId) {
+      const reservation = emailItems.get({ email });
+      if (reservation) {
+        return { reserved: false, heldBy: reservation.userId };
+      }
+      emailItems.put({ email, userId });
+      return { reserved: true, heldBy: userId };
+    }
+  };
+
+  const groups = {
+    async get(groupId) {
+      return groupItems.get({ groupId });
+    },
+
+    async list(page) {
+      return paginateItems(groupItems.find(), ['groupId'], page);
+    },
+
+    async all() {
+      return groupItems.find();
+    },
+
+    async create(group) {
+      return groupItems.create(group, `Group ${group.groupId}`);
+    },
+
+    async update(groupId, changes, { ifMatch } = {}) {
+      return groupItems.patch({ groupId }, changes, { ifMatch, label: 'Group' });
+    },
+
+    async delete(groupId) {
+      groupItems.delete({ groupId });
+    },
+
+    async getNesting(parentGroupId, childGroupId) {
+      return nestingItems.get({ parentGroupId, childGroupId });
+    },
+
+    async createNesting(nesting) {
+      return nestingItems.create(nesting, `Nesting ${nesting.parentGroupId}/${nesting.childGroupId}`);
+    },
+
+    async deleteNesting(parentGroupId, childGroupId) {
+      nestingItems.delete({ parentGroupId, childGroupId });
+    },
+
+    async deleteNestings(nestings) {
+      nestings.forEach(nesting => nestingItems.delete(nesting));
+    },
+
+    async findChildren(groupId) {
+      return nestingItems.find(nesting => nesting.parentGroupId === groupId);
+    },
+
+    async listChildren(groupId, page) {
+      return paginateItems(await this.findChildren(groupId), ['parentGroupId', 'childGroupId'], page);
+    },
+
+    async findParents(groupId) {
+      return nestingItems.find(nesting => nesting.childGroupId === groupId, ['childGroupId', 'parentGroupId']);
+    }
+  };
+
+  const memberships = {
+    async get(userId, groupId) {
+      return membershipItems.get({ userId, groupId });
+    },
+
+    async all() {
+      return membershipItems.find();
+    },
+
+    async findByUser(userId) {
+      return membershipItems.find(membership => membership.userId === userId);
+    },
+
+    async findByGroup(groupId) {
+      return membershipItems.find(membership => membership.groupId === groupId, ['groupId', 'userId']);
+    },
+
+    async listByGroup(groupId, page) {
+      return paginateItems(await this.findByGroup(groupId), ['groupId', 'userId'], page);
+    },
+
+    async create(membership) {
+      return membershipItems.create(membership, `Membership ${membership.userId}/${membership.groupId}`);
+    },
+
+    async update(userId, groupId, changes) {
+      return membershipItems.patch({ userId, groupId }, changes, { label: 'Membership' });
+    },
+
+    async delete(userId, groupId) {
+      membershipItems.delete({ userId, groupId });
+    },
+
+    async deleteMany(items) {
+      items.forEach(membership => membershipItems.delete(membership));
+    }
+  };
+
+  const resources = {
+    async get(resourceId) {
+      return resourceItems.get({ resourceId });
+    },
+
+    async getMany(resourceIds) {
+      return byIds(resourceItems, 'resourceId', resourceIds);
+    },
+
+    async list(page) {
+      return paginateItems(resourceItems.find(), ['resourceId'], page);
+    },
+
+    async all({ attributes } = {}) {
+      return resourceItems.find().map(resource => pick(resource, attributes));
+    },
+
+    async findGlobal({ attributes } = {}) {
+      return resourceItems
+        .find(resource => resource.isGlobal, ['createdAt', 'resourceId'])
+        .map(resource => pick(resource, attributes));
+    },
+
+    async findByOwner(ownerId) {
+      return resourceItems.find(resource => resource.ownerId === ownerId, ['createdAt', 'resourceId']);
+    },
+
+    async listByOwner(ownerId, page) {
+      return paginateItems(await this.findByOwner(ownerId), ['createdAt', 'resourceId'], page);
+    },
+
+    async create(resource) {
+      return resourceItems.create(resource, `Resource ${resource.resourceId}`);
+    },
+
+    async update(resourceId, changes, { ifMatch } = {}) {
+      return resourceItems.patch({ resourceId }, changes, { ifMatch, label: 'Resource' });
+    },
+
+    async changeOwner(resource, ownerId, changes) {
+      return this.update(resource.resourceId, { ...changes, ownerId });
+    },
+
+    async delete(resourceId, rules = []) {
+      rules.forEach(rule => shareItems.delete(rule));
+      resourceItems.delete({ resourceId });
+    }
+  };
+
+  const shares = {
+    async get(key) {
+      return shareItems.get(key);
+    },
+
+    async findByResource(resourceId) {
+      return shareItems.find(rule => rule.resourceId === resourceId);
+    },
+
+    async findByTarget(targetId) {
+      return shareItems.find(rule => rule.targetId === targetId, ['targetId', 'resourceId']);
+    },
+
+    async all() {
+      return shareItems.find();
+    },
+
+    async findExpired(timestamp) {
+      return shareItems.find(rule => rule.expiresAt !== undefined && rule.expiresAt <= timestamp);
+    },
+
+    async create(rule) {
+      return shareItems.create(rule, 'Sharing rule');
+    },
+
+    async put(rule) {
+      return shareItems.put(rule);
+    },
+
+    async delete(key) {
+      shareItems.delete(key);
+    },
+
+    async deleteMany(rules) {
+      rules.forEach(rule => shareItems.delete(rule));
+    }
+  };
+
+  const stats = {
+    async getCounter(counterId) {
+      const counter = counterItems.get({ counterId });
+      return counter ? counter.value : 0;
+    },
+
+    async adjustCounter(counterId, delta) {
+      counterItems.put({ counterId, value: (await this.getCounter(counterId)) + delta });
+    },
+
+    async setCounter(counterId, value) {
+      counterItems.put({ counterId, value });
+    },
+
+    async getResourceStats(resourceIds) {
+      return byIds(resourceStatsItems, 'resourceId', resourceIds);
+    },
+
+    async putResourceStats(item) {
+      return resourceStatsItems.put(item);
+    },
+
+    async deleteResourceStats(resourceId) {
+      resourceStatsItems.delete({ resourceId });
+    },
+
+    async getUserStats(userIds) {
+      return byIds(userStatsItems, 'userId', userIds);
+    },
+
+    async putUserStats(item) {
+      return userStatsItems.put(item);
+    },
+
+    async deleteUserStats(userId) {
+      userStatsItems.delete({ userId });
+    }
+  };
+
+  const audit = {
+    async append(entry) {
+      return auditItems.put(entry);
+    },
+
+    /**
+     * Entries matching every given filter, always newest first
+     */
+    async list(filters, page) {
+      const { from, to } = filters;
+      const attributes = ['resourceId', 'groupId', 'userId', 'actorId', 'action'];
+      const matches = auditItems
+        .find(entry => attributes.every(attribute => !filters[attribute] || entry[attribute] === filters[attribute])
+          && (!from || entry.timestamp >= from)
+          && (!to || entry.timestamp <= to), ['timestamp', 'auditId'])
+        .reverse();
+      return paginateItems(matches, ['timestamp', 'auditId'], page, { descending: true });
+    }
+  };
+
+  return {
+    users,
+    groups,
+    memberships,
+    resources,
+    shares,
+    stats,
+    audit
+  };
+}
+
+module.exports = {
+  createMemoryRepositories
+};
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const accessService = require('../services/accessService');
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AccessCheck:
+ *       type: object
+ *       required:
+ *         - resourceId
+ *         - permission
+ *       properties:
+ *         userId:
+ *           type: string
+ *           description: Defaults to the authenticated caller
+ *         resourceId:
+ *           type: string
+ *           minLength: 1
+ *         permission:
+ *           type: string
+ *           enum: [read, comment, write, share, admin]
+ *     AccessCheckResult:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         resourceId:
+ *           type: string
+ *         permission:
+ *           type: string
+ *         allowed:
+ *           type: boolean
+ *         grantedBy:
+ *           type: array
+ *           description: Every access path that grants the permission
+ *           items:
+ *             type: object
+ *             properties:
+ *               accessType:
+ *                 type: string
+ *                 enum: [owner, direct, group, global]
+ *               groupId:
+ *                 type: string
+ *               groupPath:
+ *                 type: array
+ *                 description: Chain of nested groups from groupId down to the user's own group
+ *                 items:
+ *                   type: string
+ *         error:
+ *           type: string
+ *           description: Set when the check could not be evaluated (e.g. unknown resource)
+ */
+
+/**
+ * Users may only check their own access; service accounts may check anyone's
+ */
+function resolveCheckUser(req, userId) {
+  if (!userId) {
+    return req.actor.id;
+  }
+  if (req.actor.type !== 'service' && userId !== req.actor.id) {
+    return null;
+  }
+  return userId;
+}
+
+/**
+ * @swagger
+ * /access/check:
+ *   get:
+ *     summary: Check whether a user holds a permission on a resource
+ *     tags: [Access]
+ *     parameters:
+ *       - in: query
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *       - in: query
+ *         name: permission
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [read, comment, write, share, admin]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the authenticated caller; only service accounts may check other users
+ *     responses:
+ *       200:
+ *         description: Result of the access check
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AccessCheckResult'
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Caller may not check access for another user
+ *       404:
+ *         description: Resource not found
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Check up to 100 (user, resource, permission) tuples in one call
+ *     tags: [Access]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - checks
+ *             properties:
+ *               checks:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   $ref: '#/components/schemas/AccessCheck'
+ *     responses:
+ *       200:
+ *         description: One result per check, in request order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AccessCheckResult'
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Caller may not check access for another user
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/check', async (req, res, next) => {
+  try {
+    const { resourceId, permission } = req.query;
+
+    const userId = resolveCheckUser(req, req.query.userId);
+    if (!userId) {
+      throw new ForbiddenError('Only service accounts may check access for other users');
+    }
+
+    const result = await accessService.checkAccess(userId, resourceId, permission);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/check', async (req, res, next) => {
+  try {
+    const { checks } = req.body;
+
+    const resolved = checks.map(check => ({ ...check, userId: resolveCheckUser(req, check.userId) }));
+    if (resolved.some(check => !check.userId)) {
+      throw new ForbiddenError('Only service accounts may check access for other users');
+    }
+
+    const results = await accessService.checkAccessBatch(resolved);
+    res.json({ results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const bulkService = require('../services/bulkService');
+const { CONTENT_TYPES } = require('../utils/bulkFormats');
+const { ValidationError, ForbiddenError } = require('../utils/errors');
+
+// Rows accepted per import request; larger files go through `npm run data:import`
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportMembership:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - groupId
+ *       properties:
+ *         userId:
+ *           type: string
+ *           minLength: 1
+ *         groupId:
+ *           type: string
+ *           minLength: 1
+ *         role:
+ *           type: string
+ *           enum: [member, admin, owner]
+ *           default: member
+ *     ImportResource:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CreateResourceRequest'
+ *         - type: object
+ *           required:
+ *             - ownerId
+ *           properties:
+ *             ownerId:
+ *               type: string
+ *               minLength: 1
+ *               description: Existing user that owns the resource
+ *     ImportShare:
+ *       type: object
+ *       required:
+ *         - resourceId
+ *         - shareType
+ *       properties:
+ *         resourceId:
+ *           type: string
+ *           minLength: 1
+ *         shareType:
+ *           type: string
+ *           enum: [user, group, global]
+ *         targetId:
+ *           type: string
+ *           minLength: 1
+ *           description: User or group id; not needed for global shares
+ *         permissions:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: string
+ *             enum: [read, comment, write, share, admin]
+ *           default: [read]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         sharedBy:
+ *           type: string
+ *           minLength: 1
+ *           description: Defaults to the importing service account
+ *     ImportResult:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *         total:
+ *           type: integer
+ *           description: Rows read from the file
+ *         imported:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: integer
+ *                 description: Line of the file the row starts on
+ *               key:
+ *                 type: string
+ *                 description: Id of the row's item, e.g. `user1` or `user1/group1` for a membership
+ *               code:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               details:
+ *                 type: object
+ *   parameters:
+ *     EntityType:
+ *       in: query
+ *       name: type
+ *       required: true
+ *       schema:
+ *         type: string
+ *         enum: [users, groups, memberships, resources, shares]
+ */
+
+router.use((req, res, next) => {
+  if (req.actor.type !== 'service') {
+    return next(new ForbiddenError('Only service accounts may import and export data'));
+  }
+  next();
+});
+
+/**
+ * Format named by the `format` query parameter, or implied by the Content-Type
+ */
+function requestFormat(req) {
+  if (req.query.format) {
+    return req.query.format;
+  }
+  return req.is('text/csv') ? 'csv' : 'jsonl';
+}
+
+/**
+ * @swagger
+ * /admin/import:
+ *   post:
+ *     summary: Create users, groups, memberships, resources or shares from a JSON Lines or CSV file
+ *     description: >
+ *       Service accounts only. Each row is validated and created on its own; rows that are
+ *       malformed, repeat an earlier row, already exist or reference a missing user, group or
+ *       resource are listed in `errors` and the remaining rows are still imported. Import users
+ *       and groups before memberships, and resources before shares. CSV files start with a
+ *       header row; list cells such as permissions separate values with `|`. At most 1000 rows
+ *       per request.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EntityType'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [jsonl, csv]
+ *         description: Defaults to csv for `text/csv` bodies and jsonl otherwise
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"userId":"user6","email":"frank@example.com","name":"Frank Castle"}
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             userId,email,name
+ *             user6,frank@example.com,Frank Castle
+ *     responses:
+ *       200:
+ *         description: Import summary, including the rows that failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportResult'
+ *       400:
+ *         description: Missing body, unknown type or too many rows
+ *       403:
+ *         description: Caller is not a service account
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/import', express.text({ type: ['text/*', 'application/x-ndjson', 'application/jsonl'], limit: '5mb' }), async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      throw new ValidationError('Request body must be a JSON Lines or CSV file');
+    }
+
+    const result = await bulkService.importRecords(req.query.type, req.body, requestFormat(req), {
+      actorId: req.actor.id,
+      maxRows: MAX_IMPORT_ROWS
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/export:
+ *   get:
+ *     summary: Download every user, group, membership, resource or share as JSON Lines or CSV
+ *     description: >
+ *       Service accounts only. Files use the columns accepted by `POST /admin/import`, so an
+ *       export can be imported elsewhere. Group owners are exported as memberships and
+ *       expired shares are left out.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EntityType'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [jsonl, csv]
+ *           default: jsonl
+ *     responses:
+ *       200:
+ *         description: The exported file
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown type or format
+ *       403:
+ *         description: Caller is not a service account
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/export', async (req, res, next) => {
+  try {
+    const { type, format = 'jsonl' } = req.query;
+
+    const { body } = await bulkService.exportRecords(type, format);
+    res
+      .attachment(`${type}.${format}`)
+      .type(CONTENT_TYPES[format])
+      .send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const accessService = require('../services/accessService');
+const auditService = require('../services/auditService');
+const { hasPermission } = require('../services/permissions');
+const { parsePagination } = require('../utils/pagination');
+const { ValidationError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         auditId:
+ *           type: string
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         action:
+ *           type: string
+ *           enum: [share.create, share.update, share.delete, share.expire, membership.add, membership.remove, membership.update, subgroup.add, subgroup.remove, ownership.transfer, resource.delete, user.delete, group.delete]
+ *         actorId:
+ *           type: string
+ *           description: Caller that made the change, or `system` for scheduled jobs
+ *         resourceId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         groupId:
+ *           type: string
+ *         before:
+ *           type: object
+ *           description: State before the change; absent for creations
+ *         after:
+ *           type: object
+ *           description: State after the change; absent for removals
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: List audit log entries, newest first
+ *     description: >
+ *       Service accounts may query the whole log. Other callers must filter by a
+ *       resourceId on which they hold the admin permission.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [share.create, share.update, share.delete, share.expire, membership.add, membership.remove, membership.update, subgroup.add, subgroup.remove, ownership.transfer, resource.delete, user.delete, group.delete]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest timestamp to include
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Latest timestamp to include
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: A page of audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Caller may not read these audit entries
+ *       404:
+ *         description: Resource not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { resourceId, userId, groupId, actorId, action, from, to } = req.query;
+    const page = parsePagination(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    if (req.actor.type !== 'service') {
+      if (!resourceId) {
+        throw new ForbiddenError('Only service accounts may query the audit log without a resourceId');
+      }
+      const access = await accessService.getEffectivePermissions(resourceId, req.actor.id);
+      if (!hasPermission(access.permissions, 'admin')) {
+        throw new ForbiddenError(`Missing 'admin' permission on resource ${resourceId}`);
+      }
+    }
+
+    const result = await auditService.query(
+      { resourceId, userId, groupId, actorId, action, from, to },
+      page
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { Group, UserGroup } = require('../models');
+const { groups, memberships } = require('../repositories');
+const { parsePagination } = require('../utils/pagination');
+const deletionService = require('../services/deletionService');
+const groupService = require('../services/groupService');
+const statsService = require('../services/statsService');
+const { requireGroupRole } = require('../middleware/authorize');
+const { parseIfMatch, etagFor } = require('../utils/conditionalWrites');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
 /**
  * @swagger
@@ -19,6 +26,10 @@ const { Group, UserGroup } = require('../models');
  *           type: string
  *         updatedAt:
  *           type: string
+ *         createdBy:
+ *           type: string
+ *         updatedBy:
+ *           type: string
  *     CreateGroupRequest:
  *       type: object
  *       required:
@@ -27,15 +38,35 @@ const { Group, UserGroup } = require('../models');
  *       properties:
  *         groupId:
  *           type: string
+ *           minLength: 1
  *         name:
  *           type: string
+ *           minLength: 1
  *         description:
  *           type: string
+ *         ownerId:
+ *           type: string
+ *           description: Service accounts only; users always become the owner of groups they create
+ *     GroupMember:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         groupId:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [member, admin, owner]
+ *         joinedAt:
+ *           type: string
+ *         addedBy:
+ *           type: string
  *     UpdateGroupRequest:
  *       type: object
  *       properties:
  *         name:
  *           type: string
+ *           minLength: 1
  *         description:
  *           type: string
  */
@@ -46,19 +77,32 @@ const { Group, UserGroup } = require('../models');
  *   get:
  *     summary: Get all groups
  *     tags: [Groups]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of all groups
+ *         description: A page of groups
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Group'
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Group'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as `cursor` to fetch the next page; null on the last page
+ *       400:
+ *         description: Invalid limit or cursor
  *       500:
  *         description: Internal server error
  *   post:
  *     summary: Create a new group
+ *     description: The creating user becomes the group's owner.
  *     tags: [Groups]
  *     requestBody:
  *       required: true
@@ -75,37 +119,47 @@ const { Group, UserGroup } = require('../models');
  *               $ref: '#/components/schemas/Group'
  *       400:
  *         description: Bad request
+ *       409:
+ *         description: A group with this id already exists
  *       500:
  *         description: Internal server error
  */
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
-    const groups = await Group.scan.go();
-    res.json(groups.data);
+    const page = parsePagination(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    res.json(await groups.list(page));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', async (req, res, next) => {
   try {
     const { groupId, name, description } = req.body;
 
-    if (!groupId || !name) {
-      return res.status(400).json({ 
-        error: 'groupId and name are required' 
-      });
-    }
+    // The creating user owns the group; service accounts may name an owner
+    const ownerId = req.actor.type === 'service' ? req.body.ownerId : req.actor.id;
 
-    const group = await Group.create({
+    const group = await groups.create({
       groupId,
       name,
-      description
-    }).go();
+      description,
+      createdBy: req.actor.id,
+      updatedBy: req.actor.id
+    });
+
+    if (ownerId) {
+      await groupService.addMember(groupId, ownerId, { role: 'owner', actorId: req.actor.id });
+      await statsService.onMembershipChanged(ownerId, groupId);
+    }
 
-    res.status(201).json(group.data);
+    res.status(201).set('ETag', etagFor(group)).json(group);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -135,6 +189,7 @@ router.post('/', async (req, res) => {
  *         description: Internal server error
  *   put:
  *     summary: Update a group
+ *     description: Requires the admin or owner role in the group.
  *     tags: [Groups]
  *     parameters:
  *       - in: path
@@ -143,6 +198,7 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Group ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -156,12 +212,19 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Group'
+ *       403:
+ *         description: Caller is not an admin or owner of the group
  *       404:
  *         description: Group not found
+ *       412:
+ *         description: If-Match does not match the current version
  *       500:
  *         description: Internal server error
  *   delete:
  *     summary: Delete a group
+ *     description: >
+ *       Requires the owner role in the group. Also removes the group's
+ *       memberships and every share targeting it.
  *     tags: [Groups]
  *     parameters:
  *       - in: path
@@ -170,64 +233,78 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Group ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Group deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 groupId:
+ *                   type: string
+ *                 membershipsRemoved:
+ *                   type: integer
+ *                 sharesRemoved:
+ *                   type: integer
+ *                 subgroupLinksRemoved:
+ *                   type: integer
+ *       403:
+ *         description: Caller is not an owner of the group
  *       404:
  *         description: Group not found
+ *       412:
+ *         description: If-Match does not match the current version
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const group = await Group.get({ groupId: id }).go();
+    const group = await groups.get(id);
     
-    if (!group.data) {
-      return res.status(404).json({ error: 'Group not found' });
+    if (!group) {
+      throw new NotFoundError('Group not found');
     }
     
-    res.json(group.data);
+    res.set('ETag', etagFor(group)).json(group);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireGroupRole('admin'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name, description } = req.body;
 
-    const group = await Group.update({ groupId: id })
-      .set({ 
-        ...(name && { name }),
-        ...(description && { description }),
-        updatedAt: new Date().toISOString()
-      })
-      .go();
-
-    if (!group.data) {
-      return res.status(404).json({ error: 'Group not found' });
-    }
+    const group = await groups.update(id, {
+      ...(name && { name }),
+      ...(description && { description }),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.actor.id
+    }, { ifMatch: parseIfMatch(req) });
 
-    res.json(group.data);
+    res.set('ETag', etagFor(group)).json(group);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireGroupRole('owner'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const result = await Group.delete({ groupId: id }).go();
+    const result = await deletionService.deleteGroup(id, {
+      actorId: req.actor.id,
+      ifMatch: parseIfMatch(req)
+    });
     
-    if (!result.data) {
-      return res.status(404).json({ error: 'Group not found' });
-    }
-    
-    res.json({ message: 'Group deleted successfully' });
+    res.json({ message: 'Group deleted successfully', ...result });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -244,39 +321,370 @@ router.delete('/:id', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Group ID
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of group members
+ *         description: A page of group members
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   userId:
- *                     type: string
- *                   joinedAt:
- *                     type: string
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     $ref: '#/components/schemas/GroupMember'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid limit or cursor
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Add up to 100 users to a group in one call
+ *     description: >
+ *       Requires the admin or owner role in the group. Users are added
+ *       independently; the response reports the outcome for each one.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - members
+ *             properties:
+ *               members:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - userId
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                       minLength: 1
+ *                     role:
+ *                       type: string
+ *                       enum: [member, admin, owner]
+ *                       default: member
+ *     responses:
+ *       200:
+ *         description: Per-user results, in request order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groupId:
+ *                   type: string
+ *                 added:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [added, failed]
+ *                       membership:
+ *                         $ref: '#/components/schemas/GroupMember'
+ *                       error:
+ *                         type: string
+ *                         description: Why the user was not added (unknown user, already a member, ...)
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Caller is not an admin or owner of the group
  *       404:
  *         description: Group not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:id/members', async (req, res) => {
+router.get('/:id/members', async (req, res, next) => {
   try {
     const { id } = req.params;
+    const page = parsePagination(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
     
     // Check if group exists
-    const group = await Group.get({ groupId: id }).go();
-    if (!group.data) {
-      return res.status(404).json({ error: 'Group not found' });
+    const group = await groups.get(id);
+    if (!group) {
+      throw new NotFoundError('Group not found');
     }
     
-    const members = await UserGroup.query.byGroup({ groupId: id }).go();
-    res.json(members.data);
+    res.json(await memberships.listByGroup(id, page));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/members', requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { members } = req.body;
+
+    const result = await groupService.addMembers(id, members, {
+      actorId: req.actor.id,
+      actorRole: req.groupMembership && req.groupMembership.role
+    });
+    await statsService.onMembersAdded(
+      id,
+      result.results.filter(entry => entry.status === 'added').map(entry => entry.userId)
+    );
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{id}/subgroups:
+ *   get:
+ *     summary: Get the groups nested directly in a group
+ *     description: Members of a subgroup are also members of the group and of every group containing it.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: A page of subgroup links
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       parentGroupId:
+ *                         type: string
+ *                       childGroupId:
+ *                         type: string
+ *                       addedAt:
+ *                         type: string
+ *                       addedBy:
+ *                         type: string
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid limit or cursor
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Nest a group inside this group
+ *     description: Requires the admin or owner role in this group.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - groupId
+ *             properties:
+ *               groupId:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: Group to nest
+ *     responses:
+ *       201:
+ *         description: Subgroup added
+ *       400:
+ *         description: Bad request, including nestings that would create a cycle
+ *       403:
+ *         description: Caller is not an admin or owner of the group
+ *       404:
+ *         description: Group or subgroup not found
+ *       409:
+ *         description: The group is already nested here
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/subgroups', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const page = parsePagination(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    const group = await groups.get(id);
+    if (!group) {
+      throw new NotFoundError('Group not found');
+    }
+
+    res.json(await groups.listChildren(id, page));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/subgroups', requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { groupId } = req.body;
+
+    const nesting = await groupService.addSubgroup(id, groupId, { actorId: req.actor.id });
+    await statsService.onGroupNestingChanged(id, groupId);
+
+    res.status(201).json(nesting);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{id}/subgroups/{subgroupId}:
+ *   delete:
+ *     summary: Remove a nested group from this group
+ *     description: Requires the admin or owner role in this group.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent group ID
+ *       - in: path
+ *         name: subgroupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nested group ID
+ *     responses:
+ *       200:
+ *         description: Subgroup removed
+ *       403:
+ *         description: Caller is not an admin or owner of the group
+ *       404:
+ *         description: Subgroup relationship not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/subgroups/:subgroupId', requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const { id, subgroupId } = req.params;
+    await groupService.removeSubgroup(id, subgroupId, { actorId: req.actor.id });
+    await statsService.onGroupNestingChanged(id, subgroupId);
+
+    res.json({ message: 'Subgroup removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role
+ *     description: >
+ *       Admins may manage plain members; only owners may grant or revoke the
+ *       admin and owner roles. A group always keeps at least one owner.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin, owner]
+ *     responses:
+ *       200:
+ *         description: Updated membership
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupMember'
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Caller may not assign this role
+ *       404:
+ *         description: Group or membership not found
+ *       409:
+ *         description: The member is the group's last owner
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/:id/members/:userId', requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+
+    const membership = await groupService.changeMemberRole(id, userId, role, {
+      actorId: req.actor.id,
+      actorRole: req.groupMembership && req.groupMembership.role
+    });
+
+    res.json(membership);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
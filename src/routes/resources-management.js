@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { Resource } = require('../models');
+const { resources } = require('../repositories');
+const accessService = require('../services/accessService');
+const statsService = require('../services/statsService');
+const deletionService = require('../services/deletionService');
+const ownershipService = require('../services/ownershipService');
+const { requireResourcePermission } = require('../middleware/authorize');
+const { parsePagination } = require('../utils/pagination');
+const { parseIfMatch, etagFor } = require('../utils/conditionalWrites');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
 
 /**
  * @swagger
@@ -12,32 +20,51 @@ const { Resource } = require('../models');
  *         - resourceId
  *         - name
  *         - type
- *         - ownerId
  *       properties:
  *         resourceId:
  *           type: string
+ *           minLength: 1
  *         name:
  *           type: string
+ *           minLength: 1
  *         description:
  *           type: string
  *         type:
  *           type: string
+ *           minLength: 1
  *         ownerId:
  *           type: string
+ *           description: Only honoured for service accounts; users always own the resources they create
  *         isGlobal:
  *           type: boolean
  *           default: false
+ *           description: Share the resource globally (read only) once it is created
+ *     TransferResourceRequest:
+ *       type: object
+ *       required:
+ *         - newOwnerId
+ *       properties:
+ *         newOwnerId:
+ *           type: string
+ *           minLength: 1
+ *         keepPreviousOwnerAccess:
+ *           type: array
+ *           minItems: 1
+ *           description: Leave the previous owner a direct share with these permissions
+ *           items:
+ *             type: string
+ *             enum: [read, comment, write, share, admin]
  *     UpdateResourceRequest:
  *       type: object
  *       properties:
  *         name:
  *           type: string
+ *           minLength: 1
  *         description:
  *           type: string
  *         type:
  *           type: string
- *         isGlobal:
- *           type: boolean
+ *           minLength: 1
  */
 
 /**
@@ -45,16 +72,31 @@ const { Resource } = require('../models');
  * /resources:
  *   get:
  *     summary: Get all resources
+ *     description: Service accounts only; users list what they can reach with `GET /resource/user/{id}/resources`.
  *     tags: [Resources]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of all resources
+ *         description: A page of resources
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Resource'
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Resource'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as `cursor` to fetch the next page; null on the last page
+ *       400:
+ *         description: Invalid limit or cursor
+ *       403:
+ *         description: Caller is not a service account
  *       500:
  *         description: Internal server error
  *   post:
@@ -75,40 +117,58 @@ const { Resource } = require('../models');
  *               $ref: '#/components/schemas/Resource'
  *       400:
  *         description: Bad request
+ *       409:
+ *         description: A resource with this id already exists
  *       500:
  *         description: Internal server error
  */
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
-    const resources = await Resource.scan.go();
-    res.json(resources.data);
+    if (req.actor.type !== 'service') {
+      throw new ForbiddenError('Only service accounts may list every resource');
+    }
+    const page = parsePagination(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    res.json(await resources.list(page));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', async (req, res, next) => {
   try {
-    const { resourceId, name, description, type, ownerId, isGlobal } = req.body;
+    const { resourceId, name, description, type, isGlobal } = req.body;
 
-    if (!resourceId || !name || !type || !ownerId) {
-      return res.status(400).json({ 
-        error: 'resourceId, name, type, and ownerId are required' 
-      });
-    }
+    // Service accounts may provision resources on behalf of a user
+    const ownerId = req.actor.type === 'service' && req.body.ownerId
+      ? req.body.ownerId
+      : req.actor.id;
 
-    const resource = await Resource.create({
+    let resource = await resources.create({
       resourceId,
       name,
       description,
       type,
       ownerId,
-      isGlobal: isGlobal || false
-    }).go();
+      createdBy: req.actor.id,
+      updatedBy: req.actor.id
+    });
 
-    res.status(201).json(resource.data);
+    // A global resource needs its global share rule, or it could never be made private again
+    if (isGlobal) {
+      await accessService.shareResource(resourceId, 'global', undefined, req.actor.id);
+      await statsService.onShareChanged(resourceId, 'global', 'global');
+      resource = await resources.get(resourceId);
+    } else {
+      await statsService.onResourceChanged(resourceId);
+    }
+
+    res.status(201).set('ETag', etagFor(resource)).json(resource);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -132,12 +192,17 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Resource'
+ *       403:
+ *         description: Caller lacks read permission on the resource
  *       404:
  *         description: Resource not found
  *       500:
  *         description: Internal server error
  *   put:
  *     summary: Update a resource
+ *     description: >
+ *       To make a resource global or private again, share it with `shareType: global`
+ *       or remove that share through `/resource/{id}/share` and `/resource/{id}/unshare`.
  *     tags: [Resources]
  *     parameters:
  *       - in: path
@@ -146,6 +211,7 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Resource ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -159,12 +225,19 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Resource'
+ *       400:
+ *         description: Body includes isGlobal
+ *       403:
+ *         description: Caller lacks write permission on the resource
  *       404:
  *         description: Resource not found
+ *       412:
+ *         description: If-Match does not match the current version
  *       500:
  *         description: Internal server error
  *   delete:
  *     summary: Delete a resource
+ *     description: Also removes every sharing rule for the resource.
  *     tags: [Resources]
  *     parameters:
  *       - in: path
@@ -173,66 +246,81 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Resource ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Resource deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 resourceId:
+ *                   type: string
+ *                 sharesRemoved:
+ *                   type: integer
+ *                   description: Number of sharing rules removed with the resource
+ *       403:
+ *         description: Caller lacks admin permission on the resource
  *       404:
  *         description: Resource not found
+ *       412:
+ *         description: If-Match does not match the current version
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireResourcePermission('read'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const resource = await Resource.get({ resourceId: id }).go();
+    const resource = await resources.get(id);
     
-    if (!resource.data) {
-      return res.status(404).json({ error: 'Resource not found' });
+    if (!resource) {
+      throw new NotFoundError('Resource not found');
     }
     
-    res.json(resource.data);
+    res.set('ETag', etagFor(resource)).json(resource);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireResourcePermission('write'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, description, type, isGlobal } = req.body;
+    const { name, description, type } = req.body;
 
-    const resource = await Resource.update({ resourceId: id })
-      .set({ 
-        ...(name && { name }),
-        ...(description && { description }),
-        ...(type && { type }),
-        ...(isGlobal !== undefined && { isGlobal }),
-        updatedAt: new Date().toISOString()
-      })
-      .go();
-
-    if (!resource.data) {
-      return res.status(404).json({ error: 'Resource not found' });
+    // Going global needs `share` and a global sharing rule that unshare can remove
+    if (req.body.isGlobal !== undefined) {
+      throw new ValidationError('Invalid isGlobal: share or unshare the resource with shareType global instead');
     }
 
-    res.json(resource.data);
+    const resource = await resources.update(id, {
+      ...(name && { name }),
+      ...(description && { description }),
+      ...(type && { type }),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.actor.id
+    }, { ifMatch: parseIfMatch(req) });
+
+    res.set('ETag', etagFor(resource)).json(resource);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireResourcePermission('admin'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const result = await Resource.delete({ resourceId: id }).go();
+    const result = await deletionService.deleteResource(id, {
+      actorId: req.actor.id,
+      ifMatch: parseIfMatch(req)
+    });
     
-    if (!result.data) {
-      return res.status(404).json({ error: 'Resource not found' });
-    }
-    
-    res.json({ message: 'Resource deleted successfully' });
+    res.json({ message: 'Resource deleted successfully', ...result });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -241,6 +329,7 @@ router.delete('/:id', async (req, res) => {
  * /resources/owner/{ownerId}:
  *   get:
  *     summary: Get all resources owned by a user
+ *     description: Only the owner or a service account may list a user's resources.
  *     tags: [Resources]
  *     parameters:
  *       - in: path
@@ -249,25 +338,173 @@ router.delete('/:id', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Owner ID
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: A page of resources owned by the user, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Resource'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as `cursor` to fetch the next page; null on the last page
+ *       400:
+ *         description: Invalid limit or cursor
+ *       403:
+ *         description: Caller is not the owner
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/owner/:ownerId', async (req, res, next) => {
+  try {
+    const { ownerId } = req.params;
+    if (req.actor.type !== 'service' && req.actor.id !== ownerId) {
+      throw new ForbiddenError('Only the owner may list their resources');
+    }
+    const page = parsePagination(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    res.json(await resources.listByOwner(ownerId, page));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /resources/{id}/transfer:
+ *   post:
+ *     summary: Transfer ownership of a resource to another user
+ *     description: Only the current owner or a service account may transfer a resource; `admin` shares are not enough.
+ *     tags: [Resources]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Resource ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferResourceRequest'
+ *     responses:
+ *       200:
+ *         description: Ownership transferred
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Caller is not the owner
+ *       404:
+ *         description: Resource or new owner not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/transfer', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { newOwnerId, keepPreviousOwnerAccess } = req.body;
+    if (req.actor.type !== 'service') {
+      const resource = await resources.get(id);
+      if (!resource) {
+        throw new NotFoundError('Resource not found');
+      }
+      if (resource.ownerId !== req.actor.id) {
+        throw new ForbiddenError('Only the owner may transfer a resource');
+      }
+    }
+
+    const result = await ownershipService.transferResource(id, newOwnerId, {
+      keepPermissions: keepPreviousOwnerAccess,
+      actorId: req.actor.id
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /resources/owner/{ownerId}/transfer:
+ *   post:
+ *     summary: Transfer every resource owned by a user to another user
+ *     description: Only the current owner or a service account may transfer all of a user's resources.
+ *     tags: [Resources]
+ *     parameters:
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Current owner ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferResourceRequest'
  *     responses:
  *       200:
- *         description: List of resources owned by the user
+ *         description: Per-resource transfer results
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Resource'
+ *               type: object
+ *               properties:
+ *                 previousOwnerId:
+ *                   type: string
+ *                 ownerId:
+ *                   type: string
+ *                 transferred:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 failed:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       resourceId:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Caller is not the owner
+ *       404:
+ *         description: New owner not found
  *       500:
  *         description: Internal server error
  */
-router.get('/owner/:ownerId', async (req, res) => {
+router.post('/owner/:ownerId/transfer', async (req, res, next) => {
   try {
     const { ownerId } = req.params;
-    const resources = await Resource.query.byOwner({ ownerId }).go();
-    res.json(resources.data);
+    const { newOwnerId, keepPreviousOwnerAccess } = req.body;
+    if (req.actor.type !== 'service' && req.actor.id !== ownerId) {
+      throw new ForbiddenError('Only the owner may transfer all of their resources');
+    }
+
+    const result = await ownershipService.transferAllResources(ownerId, newOwnerId, {
+      keepPermissions: keepPreviousOwnerAccess,
+      actorId: req.actor.id
+    });
+    res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const accessService = require('../services/accessService');
-const { Resource, User, Group } = require('../models');
+const statsService = require('../services/statsService');
+const groupService = require('../services/groupService');
+const { requireResourcePermission } = require('../middleware/authorize');
+const { expandPermissions } = require('../services/permissions');
+const { hasRole } = require('../services/groupRoles');
+const { parsePagination } = require('../utils/pagination');
+const { ValidationError, ForbiddenError } = require('../utils/errors');
 
 /**
  * @swagger
@@ -26,6 +32,10 @@ const { Resource, User, Group } = require('../models');
  *           type: string
  *         updatedAt:
  *           type: string
+ *         createdBy:
+ *           type: string
+ *         updatedBy:
+ *           type: string
  *     User:
  *       type: object
  *       properties:
@@ -39,6 +49,10 @@ const { Resource, User, Group } = require('../models');
  *           type: string
  *         updatedAt:
  *           type: string
+ *         createdBy:
+ *           type: string
+ *         updatedBy:
+ *           type: string
  *     AccessDetail:
  *       type: object
  *       properties:
@@ -51,14 +65,28 @@ const { Resource, User, Group } = require('../models');
  *           $ref: '#/components/schemas/User'
  *         groupId:
  *           type: string
+ *           description: Group the resource was shared with
+ *         groupPath:
+ *           type: array
+ *           description: Chain of nested groups from groupId down to the group the user belongs to
+ *           items:
+ *             type: string
  *         sharedBy:
  *           type: string
  *         sharedAt:
  *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
  *         permissions:
  *           type: array
  *           items:
  *             type: string
+ *         effectivePermissions:
+ *           type: array
+ *           description: Expanded permissions merged across every path that grants the user access
+ *           items:
+ *             type: string
  *     ResourceAccessList:
  *       type: object
  *       properties:
@@ -69,10 +97,27 @@ const { Resource, User, Group } = require('../models');
  *           enum: [specific, global]
  *         totalUsers:
  *           type: integer
+ *         globalPermissions:
+ *           type: array
+ *           description: Permissions every user holds (global resources only)
+ *           items:
+ *             type: string
  *         users:
  *           type: array
+ *           description: For global resources, only explicit shares granting more than the global permissions
  *           items:
  *             $ref: '#/components/schemas/AccessDetail'
+ *         allUsers:
+ *           type: object
+ *           description: A page of every user, present when a global resource is requested with expand=users
+ *           properties:
+ *             items:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AccessDetail'
+ *             nextCursor:
+ *               type: string
+ *               nullable: true
  */
 
 /**
@@ -88,6 +133,14 @@ const { Resource, User, Group } = require('../models');
  *         schema:
  *           type: string
  *         description: Resource ID
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           enum: [users]
+ *         description: For global resources, include a page of every user under allUsers
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
  *         description: List of users with access to the resource
@@ -95,30 +148,37 @@ const { Resource, User, Group } = require('../models');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ResourceAccessList'
+ *       403:
+ *         description: Caller lacks read permission on the resource
  *       404:
  *         description: Resource not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:id/access-list', async (req, res) => {
+router.get('/:id/access-list', requireResourcePermission('read'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const accessList = await accessService.getResourceAccessList(id);
+    const page = parsePagination(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    const accessList = await accessService.getResourceAccessList(id, {
+      expandUsers: req.query.expand === 'users',
+      ...page
+    });
     res.json(accessList);
   } catch (error) {
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: error.message });
-    }
+    next(error);
   }
 });
 
 /**
  * @swagger
- * /user/{id}/resources:
+ * /resource/user/{id}/resources:
  *   get:
  *     summary: Get all resources a user has access to
+ *     description: Users may only list their own resources; service accounts may list anyone's.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -151,6 +211,11 @@ router.get('/:id/access-list', async (req, res) => {
  *                         enum: [direct, group, global]
  *                       groupId:
  *                         type: string
+ *                       groupPath:
+ *                         type: array
+ *                         description: Chain of nested groups from groupId down to the user's own group
+ *                         items:
+ *                           type: string
  *                       sharedBy:
  *                         type: string
  *                       sharedAt:
@@ -159,31 +224,38 @@ router.get('/:id/access-list', async (req, res) => {
  *                         type: array
  *                         items:
  *                           type: string
+ *                       effectivePermissions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       403:
+ *         description: Caller is neither the user nor a service account
  *       404:
  *         description: User not found
  *       500:
  *         description: Internal server error
  */
-router.get('/user/:id/resources', async (req, res) => {
+router.get('/user/:id/resources', async (req, res, next) => {
   try {
     const { id } = req.params;
-    console.log('here');
+    if (req.actor.type !== 'service' && req.actor.id !== id) {
+      throw new ForbiddenError('Users may only list their own resources');
+    }
     const userResources = await accessService.getUserResources(id);
     res.json(userResources);
   } catch (error) {
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: error.message });
-    }
+    next(error);
   }
 });
 
 /**
  * @swagger
- * /resources/with-user-count:
+ * /resource/resources/with-user-count:
  *   get:
  *     summary: Get all resources with user count (reporting)
+ *     description: >
+ *       Service accounts only. Served from materialised counters; run
+ *       `npm run stats:rebuild` to recompute them.
  *     tags: [Reporting]
  *     responses:
  *       200:
@@ -202,23 +274,31 @@ router.get('/user/:id/resources', async (req, res) => {
  *                   accessType:
  *                     type: string
  *                     enum: [specific, global]
+ *       403:
+ *         description: Caller is not a service account
  *       500:
  *         description: Internal server error
  */
-router.get('/resources/with-user-count', async (req, res) => {
+router.get('/resources/with-user-count', async (req, res, next) => {
   try {
-    const resourcesWithCount = await accessService.getResourcesWithUserCount();
+    if (req.actor.type !== 'service') {
+      throw new ForbiddenError('Only service accounts may read reports');
+    }
+    const resourcesWithCount = await statsService.getResourcesWithUserCount();
     res.json(resourcesWithCount);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 /**
  * @swagger
- * /users/with-resource-count:
+ * /resource/users/with-resource-count:
  *   get:
  *     summary: Get all users with resource count (reporting)
+ *     description: >
+ *       Service accounts only. Served from materialised counters; run
+ *       `npm run stats:rebuild` to recompute them.
  *     tags: [Reporting]
  *     responses:
  *       200:
@@ -234,15 +314,20 @@ router.get('/resources/with-user-count', async (req, res) => {
  *                     $ref: '#/components/schemas/User'
  *                   resourceCount:
  *                     type: integer
+ *       403:
+ *         description: Caller is not a service account
  *       500:
  *         description: Internal server error
  */
-router.get('/users/with-resource-count', async (req, res) => {
+router.get('/users/with-resource-count', async (req, res, next) => {
   try {
-    const usersWithCount = await accessService.getUsersWithResourceCount();
+    if (req.actor.type !== 'service') {
+      throw new ForbiddenError('Only service accounts may read reports');
+    }
+    const usersWithCount = await statsService.getUsersWithResourceCount();
     res.json(usersWithCount);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -251,6 +336,7 @@ router.get('/users/with-resource-count', async (req, res) => {
  * /resource/{id}/share:
  *   post:
  *     summary: Share a resource with a user, group, or globally
+ *     description: The authenticated caller is recorded as `sharedBy`.
  *     tags: [Resources]
  *     parameters:
  *       - in: path
@@ -268,55 +354,71 @@ router.get('/users/with-resource-count', async (req, res) => {
  *             required:
  *               - shareType
  *               - targetId
- *               - sharedBy
  *             properties:
  *               shareType:
  *                 type: string
  *                 enum: [user, group, global]
  *               targetId:
  *                 type: string
- *               sharedBy:
- *                 type: string
+ *                 minLength: 1
  *               permissions:
  *                 type: array
+ *                 minItems: 1
  *                 items:
  *                   type: string
+ *                   enum: [read, comment, write, share, admin]
  *                 default: [read]
+ *                 description: write implies comment and read, comment and share imply read, admin implies everything; global shares only accept read
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When a user or group share stops granting access (global shares cannot expire)
  *     responses:
  *       200:
  *         description: Resource shared successfully
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Caller lacks share permission on the resource, or is not an admin of the target group
  *       404:
  *         description: Resource or target not found
  *       500:
  *         description: Internal server error
  */
-router.post('/:id/share', async (req, res) => {
+router.post('/:id/share', requireResourcePermission('share'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { shareType, targetId, sharedBy, permissions } = req.body;
+    const { shareType, targetId, permissions, expiresAt } = req.body;
+
+    // Only group admins and owners decide what their group can reach
+    if (shareType === 'group' && req.actor.type !== 'service') {
+      const membership = await groupService.getMembership(targetId, req.actor.id);
+      if (!membership || !hasRole(membership.role, 'admin')) {
+        throw new ForbiddenError(`Requires the 'admin' role in group ${targetId} to share with it`);
+      }
+    }
 
-    if (!shareType || !targetId || !sharedBy) {
-      return res.status(400).json({ 
-        error: 'shareType, targetId, and sharedBy are required' 
-      });
+    // Callers cannot grant more than they hold themselves
+    if (req.access && permissions) {
+      const excess = expandPermissions(permissions)
+        .filter(permission => !req.access.permissions.includes(permission));
+      if (excess.length > 0) {
+        throw new ForbiddenError(`Cannot grant permissions you do not hold: ${excess.join(', ')}`);
+      }
     }
 
     const result = await accessService.shareResource(
       id, 
       shareType, 
       targetId, 
-      sharedBy, 
-      permissions
+      req.actor.id, 
+      permissions,
+      { expiresAt }
     );
+    await statsService.onShareChanged(id, shareType, result.targetId);
     res.json(result);
   } catch (error) {
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: error.message });
-    }
+    next(error);
   }
 });
 
@@ -348,29 +450,29 @@ router.post('/:id/share', async (req, res) => {
  *                 enum: [user, group, global]
  *               targetId:
  *                 type: string
+ *                 minLength: 1
  *     responses:
  *       200:
  *         description: Resource unshared successfully
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Caller lacks share permission on the resource
+ *       404:
+ *         description: Resource or sharing rule not found
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id/unshare', async (req, res) => {
+router.delete('/:id/unshare', requireResourcePermission('share'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { shareType, targetId } = req.body;
 
-    if (!shareType || !targetId) {
-      return res.status(400).json({ 
-        error: 'shareType and targetId are required' 
-      });
-    }
-
-    const result = await accessService.unshareResource(id, shareType, targetId);
+    const result = await accessService.unshareResource(id, shareType, targetId, { actorId: req.actor.id });
+    await statsService.onShareChanged(id, shareType, result.targetId);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { User, UserGroup } = require('../models');
+const { users, memberships } = require('../repositories');
+const statsService = require('../services/statsService');
+const deletionService = require('../services/deletionService');
+const groupService = require('../services/groupService');
+const { requireGroupRole } = require('../middleware/authorize');
+const { parsePagination } = require('../utils/pagination');
+const userService = require('../services/userService');
+const { parseIfMatch, etagFor } = require('../utils/conditionalWrites');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
 
 /**
  * @swagger
@@ -15,17 +23,23 @@ const { User, UserGroup } = require('../models');
  *       properties:
  *         userId:
  *           type: string
+ *           minLength: 1
  *         email:
  *           type: string
+ *           format: email
+ *           description: Stored lower-cased; must not belong to another user
  *         name:
  *           type: string
+ *           minLength: 1
  *     UpdateUserRequest:
  *       type: object
  *       properties:
  *         email:
  *           type: string
+ *           format: email
  *         name:
  *           type: string
+ *           minLength: 1
  */
 
 /**
@@ -34,19 +48,32 @@ const { User, UserGroup } = require('../models');
  *   get:
  *     summary: Get all users
  *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
- *         description: List of all users
+ *         description: A page of users
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/User'
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as `cursor` to fetch the next page; null on the last page
+ *       400:
+ *         description: Invalid limit or cursor
  *       500:
  *         description: Internal server error
  *   post:
  *     summary: Create a new user
+ *     description: Service accounts only; users are provisioned by the identity integration.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -63,37 +90,77 @@ const { User, UserGroup } = require('../models');
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Caller is not a service account
+ *       409:
+ *         description: A user with this id already exists, or the email is in use
  *       500:
  *         description: Internal server error
  */
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
-    const users = await User.scan.go();
-    res.json(users.data);
+    const page = parsePagination(req.query);
+    if (page.error) {
+      throw new ValidationError(page.error);
+    }
+
+    res.json(await users.list(page));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', async (req, res, next) => {
   try {
+    if (req.actor.type !== 'service') {
+      throw new ForbiddenError('Only service accounts may create users');
+    }
     const { userId, email, name } = req.body;
 
-    if (!userId || !email || !name) {
-      return res.status(400).json({ 
-        error: 'userId, email, and name are required' 
-      });
-    }
+    const user = await userService.createUser({ userId, email, name }, { actorId: req.actor.id });
+    await statsService.onUserCreated(userId);
 
-    const user = await User.create({
-      userId,
-      email,
-      name
-    }).go();
+    res.status(201).set('ETag', etagFor(user)).json(user);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.status(201).json(user.data);
+/**
+ * @swagger
+ * /users/by-email/{email}:
+ *   get:
+ *     summary: Find a user by email
+ *     description: Matching ignores case. Maps an external identity (e.g. from SSO) to a userId.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: email
+ *         description: Email address (URL-encoded)
+ *     responses:
+ *       200:
+ *         description: User details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Not a valid email address
+ *       404:
+ *         description: No user has this email
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/by-email/:email', async (req, res, next) => {
+  try {
+    const user = await userService.getUserByEmail(req.params.email);
+    res.set('ETag', etagFor(user)).json(user);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -123,6 +190,7 @@ router.post('/', async (req, res) => {
  *         description: Internal server error
  *   put:
  *     summary: Update a user
+ *     description: Users may only change their own name and email; service accounts may update anyone.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -131,6 +199,7 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: User ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -144,12 +213,25 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Caller is neither the user nor a service account
  *       404:
  *         description: User not found
+ *       409:
+ *         description: The email is in use by another user, or the user changed concurrently
+ *       412:
+ *         description: If-Match does not match the current version
  *       500:
  *         description: Internal server error
  *   delete:
  *     summary: Delete a user
+ *     description: >
+ *       Also removes the user's group memberships and every share targeting them.
+ *       Resources the user owns are transferred to `successorId`; without one the
+ *       delete is refused while the user still owns resources or is the last owner
+ *       of a group. Users may only delete
+ *       themselves and cannot name another user as successor (they transfer their
+ *       resources first); service accounts may delete anyone and pick any successor.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -158,64 +240,105 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: User ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: query
+ *         name: successorId
+ *         schema:
+ *           type: string
+ *         description: User who takes over the deleted user's resources
  *     responses:
  *       200:
  *         description: User deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 userId:
+ *                   type: string
+ *                 membershipsRemoved:
+ *                   type: integer
+ *                 sharesRemoved:
+ *                   type: integer
+ *                 resourcesTransferred:
+ *                   type: integer
+ *                 successorId:
+ *                   type: string
+ *       400:
+ *         description: Invalid successor
+ *       403:
+ *         description: Caller may not delete this user or hand their resources to this successor
  *       404:
- *         description: User not found
+ *         description: User or successor not found
+ *       409:
+ *         description: >
+ *           User still owns resources and no successor was given, is the last owner of a group,
+ *           or some transfers failed; `details.failed` lists them and resources already
+ *           transferred stay with the successor
+ *       412:
+ *         description: If-Match does not match the current version
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const user = await User.get({ userId: id }).go();
+    const user = await users.get(id);
     
-    if (!user.data) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!user) {
+      throw new NotFoundError('User not found');
     }
     
-    res.json(user.data);
+    res.set('ETag', etagFor(user)).json(user);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
     const { email, name } = req.body;
-
-    const user = await User.update({ userId: id })
-      .set({ 
-        ...(email && { email }),
-        ...(name && { name }),
-        updatedAt: new Date().toISOString()
-      })
-      .go();
-
-    if (!user.data) {
-      return res.status(404).json({ error: 'User not found' });
+    // Emails map SSO identities to users, so nobody may claim another user's
+    if (req.actor.type !== 'service' && req.actor.id !== id) {
+      throw new ForbiddenError('Users may only update themselves');
     }
 
-    res.json(user.data);
+    const user = await userService.updateUser(id, { email, name }, {
+      actorId: req.actor.id,
+      ifMatch: parseIfMatch(req)
+    });
+
+    res.set('ETag', etagFor(user)).json(user);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const result = await User.delete({ userId: id }).go();
-    
-    if (!result.data) {
-      return res.status(404).json({ error: 'User not found' });
+    const { successorId } = req.query;
+    if (req.actor.type !== 'service') {
+      if (req.actor.id !== id) {
+        throw new ForbiddenError('Users may only delete themselves');
+      }
+      if (successorId && successorId !== req.actor.id) {
+        throw new ForbiddenError('Only service accounts may hand a user\'s resources to someone else');
+      }
     }
+
+    const result = await deletionService.deleteUser(id, {
+      successorId,
+      actorId: req.actor.id,
+      ifMatch: parseIfMatch(req)
+    });
     
-    res.json({ message: 'User deleted successfully' });
+    res.json({ message: 'User deleted successfully', ...result });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -244,6 +367,9 @@ router.delete('/:id', async (req, res) => {
  *                 properties:
  *                   groupId:
  *                     type: string
+ *                   role:
+ *                     type: string
+ *                     enum: [member, admin, owner]
  *                   joinedAt:
  *                     type: string
  *       404:
@@ -271,49 +397,50 @@ router.delete('/:id', async (req, res) => {
  *             properties:
  *               groupId:
  *                 type: string
+ *                 minLength: 1
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin, owner]
+ *                 default: member
+ *                 description: Only group owners may add admins and owners
  *     responses:
  *       201:
  *         description: User added to group successfully
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Caller is not an admin or owner of the group
  *       404:
  *         description: User or group not found
+ *       409:
+ *         description: The user is already a member of the group
  *       500:
  *         description: Internal server error
  */
-router.get('/:id/groups', async (req, res) => {
+router.get('/:id/groups', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userGroups = await UserGroup.query.primary({ userId: id }).go();
-    res.json(userGroups.data);
+    res.json(await memberships.findByUser(id));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-router.post('/:id/groups', async (req, res) => {
+router.post('/:id/groups', requireGroupRole('admin', req => req.body.groupId), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { groupId } = req.body;
-
-    if (!groupId) {
-      return res.status(400).json({ error: 'groupId is required' });
-    }
-
-    // Check if user exists
-    const user = await User.get({ userId: id }).go();
-    if (!user.data) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    const { groupId, role } = req.body;
 
-    const userGroup = await UserGroup.create({
-      userId: id,
-      groupId
-    }).go();
+    const userGroup = await groupService.addMember(groupId, id, {
+      role,
+      actorId: req.actor.id,
+      actorRole: req.groupMembership && req.groupMembership.role
+    });
+    await statsService.onMembershipChanged(id, groupId);
 
-    res.status(201).json(userGroup.data);
+    res.status(201).json(userGroup);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -339,23 +466,37 @@ router.post('/:id/groups', async (req, res) => {
  *     responses:
  *       200:
  *         description: User removed from group successfully
+ *       403:
+ *         description: Caller may not remove this member (members may always remove themselves)
  *       404:
  *         description: User-group relationship not found
+ *       409:
+ *         description: The user is the group's last owner
  *       500:
  *         description: Internal server error
  */
-router.delete('/:userId/groups/:groupId', async (req, res) => {
+/**
+ * Members may always leave a group; removing anyone else requires group admin
+ */
+function requireSelfOrGroupAdmin(req, res, next) {
+  if (req.params.userId === req.actor.id) {
+    return next();
+  }
+  return requireGroupRole('admin', req => req.params.groupId)(req, res, next);
+}
+
+router.delete('/:userId/groups/:groupId', requireSelfOrGroupAdmin, async (req, res, next) => {
   try {
     const { userId, groupId } = req.params;
-    const result = await UserGroup.delete({ userId, groupId }).go();
-    
-    if (!result.data) {
-      return res.status(404).json({ error: 'User-group relationship not found' });
-    }
+    await groupService.removeMember(groupId, userId, {
+      actorId: req.actor.id,
+      actorRole: req.groupMembership && req.groupMembership.role
+    });
+    await statsService.onMembershipChanged(userId, groupId);
     
     res.json({ message: 'User removed from group successfully' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
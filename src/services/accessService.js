@@ -1,85 +1,69 @@
-const { User, Group, UserGroup, Resource, ResourceSharing } = require('../models');
+const { users, groups, memberships, resources, shares } = require('../repositories');
+const { validatePermissions, mergePermissions, hasPermission } = require('./permissions');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { DEFAULT_PAGE_SIZE } = require('../utils/pagination');
+const { isShareActive, toTtl, auditTarget } = require('../utils/shares');
+const auditService = require('./auditService');
+const groupService = require('./groupService');
+const { ValidationError, NotFoundError, wrapError } = require('../utils/errors');
+
+// Upper bound on tuples accepted by a single batched access check
+const MAX_ACCESS_CHECKS = 100;
+
+// Parallel share lookups issued when resolving a user's group shares
+const GROUP_QUERY_CONCURRENCY = 8;
 
 class AccessService {
   /**
    * Get all users who have access to a specific resource
    * Handles direct shares, group shares, and global shares
+   *
+   * Global resources are summarised by default: the response carries the
+   * total user count plus only those explicit shares that grant more than
+   * the global `read`. Pass `expandUsers` to page through every user.
    */
-  async getResourceAccessList(resourceId) {
+  async getResourceAccessList(resourceId, options = {}) {
     try {
       // Check if resource exists
-      const resource = await Resource.get({ resourceId }).go();
-      if (!resource.data) {
-        throw new Error('Resource not found');
+      const resource = await resources.get(resourceId);
+      if (!resource) {
+        throw new NotFoundError('Resource not found');
       }
 
-      const accessList = new Set();
-      const accessDetails = [];
-
-      // If resource is globally shared, get all users
-      if (resource.data.isGlobal) {
-        const allUsers = await User.scan.go();
-        allUsers.data.forEach(user => {
-          accessList.add(user.userId);
-          accessDetails.push({
-            userId: user.userId,
-            accessType: 'global',
-            user: user
-          });
-        });
-        return {
+      // Get all sharing rules for this resource
+      const sharingRules = await this._getSharingRules(resourceId);
+      const { accessList, accessDetails } = await this._collectExplicitAccess(sharingRules);
+
+      if (resource.isGlobal) {
+        const result = {
           resourceId,
           accessType: 'global',
-          totalUsers: accessList.size,
-          users: accessDetails
+          totalUsers: await users.count(),
+          globalPermissions: ['read'],
+          // Explicit shares only matter when they grant more than everyone already has
+          users: accessDetails.filter(detail =>
+            detail.effectivePermissions.some(permission => permission !== 'read')
+          )
         };
-      }
 
-      // Get all sharing rules for this resource
-      const sharingRules = await ResourceSharing.query
-        .primary({ resourceId })
-        .go();
-
-      // Process each sharing rule
-      for (const rule of sharingRules.data) {
-        if (rule.shareType === 'user') {
-          // Direct user share
-          const user = await User.get({ userId: rule.targetId }).go();
-          if (user.data) {
-            accessList.add(rule.targetId);
-            accessDetails.push({
-              userId: rule.targetId,
-              accessType: 'direct',
-              user: user.data,
-              sharedBy: rule.sharedBy,
-              sharedAt: rule.sharedAt,
-              permissions: rule.permissions
-            });
-          }
-        } else if (rule.shareType === 'group') {
-          // Group share - get all users in the group
-          const groupMembers = await UserGroup.query
-            .byGroup({ groupId: rule.targetId })
-            .go();
-
-          for (const member of groupMembers.data) {
-            if (!accessList.has(member.userId)) {
-              const user = await User.get({ userId: member.userId }).go();
-              if (user.data) {
-                accessList.add(member.userId);
-                accessDetails.push({
-                  userId: member.userId,
-                  accessType: 'group',
-                  groupId: rule.targetId,
-                  user: user.data,
-                  sharedBy: rule.sharedBy,
-                  sharedAt: rule.sharedAt,
-                  permissions: rule.permissions
-                });
-              }
-            }
-          }
+        if (options.expandUsers) {
+          const page = await users.list({
+            limit: options.limit || DEFAULT_PAGE_SIZE,
+            cursor: options.cursor || null
+          });
+          result.allUsers = {
+            items: page.items.map(user => accessList.get(user.userId) || {
+              userId: user.userId,
+              accessType: 'global',
+              user: user,
+              permissions: ['read'],
+              effectivePermissions: mergePermissions(['read'])
+            }),
+            nextCursor: page.nextCursor
+          };
         }
+
+        return result;
       }
 
       return {
@@ -89,219 +73,425 @@ class AccessService {
         users: accessDetails
       };
     } catch (error) {
-      throw new Error(`Failed to get resource access list: ${error.message}`);
+      throw wrapError(error, 'Failed to get resource access list');
+    }
+  }
+
+  /**
+   * Expand direct and group sharing rules into one entry per user
+   * Users reachable through several rules get a single, merged entry
+   */
+  async _collectExplicitAccess(sharingRules) {
+    const accessList = new Map();
+    const accessDetails = [];
+
+    // Process each sharing rule
+    for (const rule of sharingRules) {
+      if (rule.shareType === 'user') {
+        // Direct user share
+        if (accessList.has(rule.targetId)) {
+          this._mergeAccess(accessList.get(rule.targetId), rule.permissions);
+          continue;
+        }
+        const user = await users.get(rule.targetId);
+        if (user) {
+          const detail = {
+            userId: rule.targetId,
+            accessType: 'direct',
+            user: user,
+            sharedBy: rule.sharedBy,
+            sharedAt: rule.sharedAt,
+            ...(rule.expiresAt && { expiresAt: rule.expiresAt }),
+            permissions: rule.permissions,
+            effectivePermissions: mergePermissions(rule.permissions)
+          };
+          accessList.set(rule.targetId, detail);
+          accessDetails.push(detail);
+        }
+      } else if (rule.shareType === 'group') {
+        // Group share - get all users in the group and in every group nested beneath it
+        const groupPaths = await groupService.getDescendantGroups(rule.targetId);
+
+        for (const [groupId, groupPath] of groupPaths) {
+          const groupMembers = await memberships.findByGroup(groupId);
+
+          for (const member of groupMembers) {
+            if (accessList.has(member.userId)) {
+              this._mergeAccess(accessList.get(member.userId), rule.permissions);
+              continue;
+            }
+            const user = await users.get(member.userId);
+            if (user) {
+              const detail = {
+                userId: member.userId,
+                accessType: 'group',
+                groupId: rule.targetId,
+                groupPath,
+                user: user,
+                sharedBy: rule.sharedBy,
+                sharedAt: rule.sharedAt,
+                ...(rule.expiresAt && { expiresAt: rule.expiresAt }),
+                permissions: rule.permissions,
+                effectivePermissions: mergePermissions(rule.permissions)
+              };
+              accessList.set(member.userId, detail);
+              accessDetails.push(detail);
+            }
+          }
+        }
+      }
     }
+
+    return { accessList, accessDetails };
   }
 
   /**
    * Get all resources a user has access to
    * Handles direct shares, group shares, and global shares
+   *
+   * Independent lookups run in parallel, group shares are queried with
+   * bounded concurrency and shared resources are fetched in batches, so
+   * the number of round trips grows with the number of groups rather than
+   * the number of shared resources.
    */
   async getUserResources(userId) {
     try {
+      const [user, userGroups, directShares, globalResources] = await Promise.all([
+        users.get(userId),
+        memberships.findByUser(userId),
+        shares.findByTarget(userId),
+        resources.findGlobal()
+      ]);
+
       // Check if user exists
-      const user = await User.get({ userId }).go();
-      if (!user.data) {
-        throw new Error('User not found');
+      if (!user) {
+        throw new NotFoundError('User not found');
       }
 
-      const resourceIds = new Set();
-      const resources = [];
-
-      // Get user's groups
-      const userGroups = await UserGroup.query
-        .primary({ userId })
-        .go();
-
-      const groupIds = userGroups.data.map(ug => ug.groupId);
-
-      // Get all sharing rules where user is directly targeted
-      const directShares = await ResourceSharing.query
-        .byTarget({ targetId: userId })
-        .go();
+      // The user's groups plus every group that contains them, directly or indirectly
+      const groupPaths = await groupService.getAncestorGroups(userGroups.map(ug => ug.groupId));
+      const groupIds = [...groupPaths.keys()];
 
       // Get all sharing rules where user's groups are targeted
-      const groupShares = [];
-      for (const groupId of groupIds) {
-        const shares = await ResourceSharing.query
-          .byTarget({ targetId: groupId })
-          .go();
-        groupShares.push(...shares.data);
-      }
-
-      // Get all global resources
-      const globalResources = await Resource.query
-        .globalResources({ isGlobal: true })
-        .go();
-
-      // Process direct shares
-      for (const share of directShares.data) {
-        if (!resourceIds.has(share.resourceId)) {
-          const resource = await Resource.get({ resourceId: share.resourceId }).go();
-          if (resource.data) {
-            resourceIds.add(share.resourceId);
-            resources.push({
-              resource: resource.data,
-              accessType: 'direct',
-              sharedBy: share.sharedBy,
-              sharedAt: share.sharedAt,
-              permissions: share.permissions
-            });
-          }
+      const groupShareLists = await mapWithConcurrency(groupIds, GROUP_QUERY_CONCURRENCY, async groupId => {
+        const targeted = await shares.findByTarget(groupId);
+        return targeted.filter(share => share.shareType === 'group' && isShareActive(share));
+      });
+      const groupShares = groupShareLists.flat();
+      const userShares = directShares.filter(share => share.shareType === 'user' && isShareActive(share));
+
+      // Fetch every shared resource in batches rather than one at a time
+      const sharedResources = await resources.getMany(
+        [...userShares, ...groupShares].map(share => share.resourceId)
+      );
+
+      const resourceIds = new Map();
+      const accessible = [];
+
+      const addShare = (share, accessType) => {
+        if (resourceIds.has(share.resourceId)) {
+          this._mergeAccess(resourceIds.get(share.resourceId), share.permissions);
+          return;
         }
-      }
-
-      // Process group shares
-      for (const share of groupShares) {
-        if (!resourceIds.has(share.resourceId)) {
-          const resource = await Resource.get({ resourceId: share.resourceId }).go();
-          if (resource.data) {
-            resourceIds.add(share.resourceId);
-            resources.push({
-              resource: resource.data,
-              accessType: 'group',
-              groupId: share.targetId,
-              sharedBy: share.sharedBy,
-              sharedAt: share.sharedAt,
-              permissions: share.permissions
-            });
-          }
+        const resource = sharedResources.get(share.resourceId);
+        if (resource) {
+          const entry = {
+            resource: resource,
+            accessType,
+            ...(accessType === 'group' && { groupId: share.targetId, groupPath: groupPaths.get(share.targetId) }),
+            sharedBy: share.sharedBy,
+            sharedAt: share.sharedAt,
+            ...(share.expiresAt && { expiresAt: share.expiresAt }),
+            permissions: share.permissions,
+            effectivePermissions: mergePermissions(share.permissions)
+          };
+          resourceIds.set(share.resourceId, entry);
+          accessible.push(entry);
         }
-      }
+      };
+
+      // Process direct shares, then group shares
+      userShares.forEach(share => addShare(share, 'direct'));
+      groupShares.forEach(share => addShare(share, 'group'));
 
       // Process global resources
-      for (const resource of globalResources.data) {
-        if (!resourceIds.has(resource.resourceId)) {
-          resourceIds.add(resource.resourceId);
-          resources.push({
-            resource: resource,
-            accessType: 'global',
-            permissions: ['read']
-          });
+      for (const resource of globalResources) {
+        if (resourceIds.has(resource.resourceId)) {
+          this._mergeAccess(resourceIds.get(resource.resourceId), ['read']);
+          continue;
         }
+        const entry = {
+          resource: resource,
+          accessType: 'global',
+          permissions: ['read'],
+          effectivePermissions: mergePermissions(['read'])
+        };
+        resourceIds.set(resource.resourceId, entry);
+        accessible.push(entry);
       }
 
       return {
         userId,
         totalResources: resourceIds.size,
-        resources: resources
+        resources: accessible
       };
     } catch (error) {
-      throw new Error(`Failed to get user resources: ${error.message}`);
+      throw wrapError(error, 'Failed to get user resources');
     }
   }
 
   /**
-   * Get resources with user count (reporting)
+   * Fold the permissions of an additional access path into an existing entry
    */
-  async getResourcesWithUserCount() {
-    try {
-      const allResources = await Resource.scan.go();
-      const results = [];
+  _mergeAccess(entry, permissions) {
+    entry.effectivePermissions = mergePermissions(entry.effectivePermissions, permissions);
+  }
 
-      for (const resource of allResources.data) {
-        const accessList = await this.getResourceAccessList(resource.resourceId);
-        results.push({
-          resource: resource,
-          userCount: accessList.totalUsers,
-          accessType: accessList.accessType
+  /**
+   * Work out every path through which a user reaches a resource
+   * Pure helper shared by permission resolution and access checks
+   */
+  _resolveGrants(resource, sharingRules, userId, groupPaths) {
+    const grants = [];
+
+    if (resource.ownerId === userId) {
+      // Owners can do everything with their own resources
+      grants.push({ accessType: 'owner', permissions: ['admin'] });
+    }
+
+    for (const rule of sharingRules) {
+      if (rule.shareType === 'user' && rule.targetId === userId) {
+        grants.push({ accessType: 'direct', permissions: rule.permissions });
+      } else if (rule.shareType === 'group' && groupPaths.has(rule.targetId)) {
+        grants.push({
+          accessType: 'group',
+          groupId: rule.targetId,
+          groupPath: groupPaths.get(rule.targetId),
+          permissions: rule.permissions
         });
       }
+    }
+
+    if (resource.isGlobal) {
+      grants.push({ accessType: 'global', permissions: ['read'] });
+    }
+
+    return grants;
+  }
+
+  /**
+   * Get the groups a user belongs to, directly or through nesting
+   * Maps each group id to the chain of groups leading down to the user
+   */
+  async _getGroupPaths(userId) {
+    const userGroups = await memberships.findByUser(userId);
+    return groupService.getAncestorGroups(userGroups.map(ug => ug.groupId));
+  }
+
+  /**
+   * Get every sharing rule attached to a resource that has not expired
+   */
+  async _getSharingRules(resourceId) {
+    const sharingRules = await shares.findByResource(resourceId);
+    return sharingRules.filter(rule => isShareActive(rule));
+  }
 
-      return results;
+  /**
+   * Resolve the effective permissions a user holds on a resource
+   * Combines ownership, direct shares, group shares, and global access
+   */
+  async getEffectivePermissions(resourceId, userId) {
+    try {
+      const [resource, sharingRules, groupPaths] = await Promise.all([
+        resources.get(resourceId),
+        this._getSharingRules(resourceId),
+        this._getGroupPaths(userId)
+      ]);
+      if (!resource) {
+        throw new NotFoundError('Resource not found');
+      }
+
+      const grants = this._resolveGrants(resource, sharingRules, userId, groupPaths);
+
+      return {
+        resourceId,
+        userId,
+        resource: resource,
+        permissions: mergePermissions(...grants.map(grant => grant.permissions)),
+        grants
+      };
     } catch (error) {
-      throw new Error(`Failed to get resources with user count: ${error.message}`);
+      throw wrapError(error, 'Failed to get effective permissions');
+    }
+  }
+
+  /**
+   * Check whether a user holds a permission on a resource
+   * Returns the access paths that grant it, if any
+   */
+  async checkAccess(userId, resourceId, permission) {
+    const [result] = await this.checkAccessBatch([{ userId, resourceId, permission }]);
+    if (result.error) {
+      // The only per-check failure is a missing resource
+      throw new NotFoundError(result.error);
     }
+    return result;
   }
 
   /**
-   * Get users with resource count (reporting)
+   * Check many (userId, resourceId, permission) tuples at once
+   * Each distinct resource and user is only looked up once
    */
-  async getUsersWithResourceCount() {
+  async checkAccessBatch(checks) {
     try {
-      const allUsers = await User.scan.go();
-      const results = [];
-
-      for (const user of allUsers.data) {
-        const userResources = await this.getUserResources(user.userId);
-        results.push({
-          user: user,
-          resourceCount: userResources.totalResources
-        });
+      if (checks.length > MAX_ACCESS_CHECKS) {
+        throw new ValidationError(`Invalid request: at most ${MAX_ACCESS_CHECKS} checks per call`);
       }
+      checks.forEach(check => validatePermissions([check.permission]));
+
+      const resourceIds = [...new Set(checks.map(check => check.resourceId))];
+      const userIds = [...new Set(checks.map(check => check.userId))];
+
+      const [resourcesById, ruleLists, groupIdLists] = await Promise.all([
+        resources.getMany(resourceIds),
+        Promise.all(resourceIds.map(resourceId => this._getSharingRules(resourceId))),
+        Promise.all(userIds.map(userId => this._getGroupPaths(userId)))
+      ]);
+
+      const rulesByResource = new Map(resourceIds.map((id, index) => [id, ruleLists[index]]));
+      const groupsByUser = new Map(userIds.map((id, index) => [id, groupIdLists[index]]));
+
+      return checks.map(({ userId, resourceId, permission }) => {
+        const resource = resourcesById.get(resourceId);
+        if (!resource) {
+          return { userId, resourceId, permission, allowed: false, grantedBy: [], error: 'Resource not found' };
+        }
 
-      return results;
+        const grants = this._resolveGrants(
+          resource,
+          rulesByResource.get(resourceId),
+          userId,
+          groupsByUser.get(userId)
+        );
+        const grantedBy = grants
+          .filter(grant => hasPermission(grant.permissions, permission))
+          .map(({ accessType, groupId, groupPath }) => (groupId ? { accessType, groupId, groupPath } : { accessType }));
+
+        return { userId, resourceId, permission, allowed: grantedBy.length > 0, grantedBy };
+      });
     } catch (error) {
-      throw new Error(`Failed to get users with resource count: ${error.message}`);
+      throw wrapError(error, 'Failed to check access');
     }
   }
 
   /**
    * Share a resource with a user, group, or globally
+   * Pass `expiresAt` to make a user or group share time-limited; global
+   * shares always grant `read` only
    */
-  async shareResource(resourceId, shareType, targetId, sharedBy, permissions = ['read']) {
+  async shareResource(resourceId, shareType, targetId, sharedBy, permissions = ['read'], { expiresAt } = {}) {
     try {
+      validatePermissions(permissions);
+
+      // Global access only ever resolves to read
+      if (shareType === 'global' && permissions.some(permission => permission !== 'read')) {
+        throw new ValidationError('Invalid permissions: global shares can only grant read');
+      }
+
+      if (expiresAt !== undefined) {
+        if (shareType === 'global') {
+          throw new ValidationError('Invalid expiresAt: global shares cannot expire');
+        }
+        if (Number.isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now()) {
+          throw new ValidationError('Invalid expiresAt: expected a future ISO 8601 timestamp');
+        }
+      }
+
       // Validate resource exists
-      const resource = await Resource.get({ resourceId }).go();
-      if (!resource.data) {
-        throw new Error('Resource not found');
+      const resource = await resources.get(resourceId);
+      if (!resource) {
+        throw new NotFoundError('Resource not found');
       }
 
       // Validate target exists based on share type
       if (shareType === 'user') {
-        const user = await User.get({ userId: targetId }).go();
-        if (!user.data) {
-          throw new Error('Target user not found');
+        if (!(await users.get(targetId))) {
+          throw new NotFoundError('Target user not found');
         }
       } else if (shareType === 'group') {
-        const group = await Group.get({ groupId: targetId }).go();
-        if (!group.data) {
-          throw new Error('Target group not found');
+        if (!(await groups.get(targetId))) {
+          throw new NotFoundError('Target group not found');
         }
       } else if (shareType === 'global') {
         targetId = 'global';
         // Update resource to be global
-        await Resource.update({ resourceId })
-          .set({ isGlobal: true, updatedAt: new Date().toISOString() })
-          .go();
+        await resources.update(resourceId, { isGlobal: true, updatedAt: new Date().toISOString() });
       }
 
-      // Create sharing rule
-      const sharingRule = await ResourceSharing.create({
-        resourceId,
-        shareType,
-        targetId,
+      // Sharing again with an existing target replaces its permissions and expiry
+      const key = { resourceId, shareType, targetId };
+      const existing = await shares.get(key);
+      const rule = {
+        ...key,
         sharedBy,
-        permissions
-      }).go();
+        permissions,
+        ...(expiresAt !== undefined && {
+          expiresAt: new Date(expiresAt).toISOString(),
+          ttl: toTtl(expiresAt)
+        })
+      };
+      const sharingRule = existing
+        ? await shares.put(rule)
+        : await shares.create(rule);
 
-      return sharingRule.data;
+      await auditService.record({
+        action: existing ? 'share.update' : 'share.create',
+        actorId: sharedBy,
+        resourceId,
+        ...auditTarget(shareType, targetId),
+        before: existing,
+        after: sharingRule
+      });
+
+      return sharingRule;
     } catch (error) {
-      throw new Error(`Failed to share resource: ${error.message}`);
+      throw wrapError(error, 'Failed to share resource');
     }
   }
 
   /**
    * Remove sharing access
+   * Returns the removed rule
    */
-  async unshareResource(resourceId, shareType, targetId) {
+  async unshareResource(resourceId, shareType, targetId, { actorId } = {}) {
     try {
-      const result = await ResourceSharing.delete({
-        resourceId,
-        shareType,
-        targetId
-      }).go();
+      if (shareType === 'global') {
+        targetId = 'global';
+      }
+
+      const key = { resourceId, shareType, targetId };
+      const existing = await shares.get(key);
+      if (!existing) {
+        throw new NotFoundError('Sharing rule not found');
+      }
+      await shares.delete(key);
 
       // If this was a global share, update the resource
       if (shareType === 'global') {
-        await Resource.update({ resourceId })
-          .set({ isGlobal: false, updatedAt: new Date().toISOString() })
-          .go();
+        await resources.update(resourceId, { isGlobal: false, updatedAt: new Date().toISOString() });
       }
 
-      return result;
+      await auditService.record({
+        action: 'share.delete',
+        actorId,
+        resourceId,
+        ...auditTarget(shareType, targetId),
+        before: existing
+      });
+
+      return existing;
     } catch (error) {
-      throw new Error(`Failed to unshare resource: ${error.message}`);
+      throw wrapError(error, 'Failed to unshare resource');
     }
   }
 }
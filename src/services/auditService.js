@@ -0,0 +1,81 @@
+const { audit } = require('../repositories');
+const { emitCount } = require('../utils/metrics');
+const { ValidationError, wrapError } = require('../utils/errors');
+
+// Actor recorded for changes made by scheduled jobs rather than a caller
+const SYSTEM_ACTOR = 'system';
+
+/**
+ * Append-only record of sharing, membership, ownership and delete operations
+ *
+ * Entries are only ever created, never updated or removed through this
+ * service. Each one names the actor, the affected resource, user and/or group
+ * and the state before and after the change.
+ */
+class AuditService {
+  /**
+   * Append an entry to the audit log
+   *
+   * The change being audited has already happened by the time this runs, so a
+   * write that still fails after the SDK's retries does not fail the request.
+   * The entry is then lost from the table: it is logged in full and counted in
+   * the `AuditWriteFailures` metric, which the `AuditWriteFailuresAlarm` in
+   * serverless.yml watches, so it can be restored from the logs by hand.
+   */
+  async record({ action, actorId, resourceId, userId, groupId, before, after }) {
+    const entry = {
+      action,
+      actorId: actorId || SYSTEM_ACTOR,
+      ...(resourceId && { resourceId }),
+      ...(userId && { userId }),
+      ...(groupId && { groupId }),
+      ...(before !== undefined && before !== null && { before }),
+      ...(after !== undefined && after !== null && { after })
+    };
+
+    try {
+      return await audit.append(entry);
+    } catch (error) {
+      console.error('Failed to write audit entry:', error.message, JSON.stringify(entry));
+      emitCount('AuditWriteFailures', 1, { action: entry.action, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record several entries, e.g. one per share removed by a cascade
+   */
+  async recordAll(entries) {
+    for (const entry of entries) {
+      await this.record(entry);
+    }
+  }
+
+  /**
+   * Page through audit entries, newest first
+   *
+   * Entries must match every id and action filter given; `from` and `to`
+   * bound the timestamp (inclusive). Without any id filter the whole log is
+   * scanned and, on DynamoDB, returned in no particular order.
+   */
+  async query(filters = {}, { limit, cursor }) {
+    try {
+      const { from, to } = filters;
+      if (from !== undefined && Number.isNaN(Date.parse(from))) {
+        throw new ValidationError('Invalid from: expected an ISO 8601 timestamp');
+      }
+      if (to !== undefined && Number.isNaN(Date.parse(to))) {
+        throw new ValidationError('Invalid to: expected an ISO 8601 timestamp');
+      }
+      return await audit.list({
+        ...filters,
+        from: from !== undefined ? new Date(from).toISOString() : undefined,
+        to: to !== undefined ? new Date(to).toISOString() : undefined
+      }, { limit, cursor });
+    } catch (error) {
+      throw wrapError(error, 'Failed to query audit log');
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,242 @@
+const { users, groups, memberships, resources, shares } = require('../repositories');
+const userService = require('./userService');
+const groupService = require('./groupService');
+const accessService = require('./accessService');
+const statsService = require('./statsService');
+const swaggerSpec = require('../swagger');
+const { createSchemaValidator } = require('../middleware/validateRequest');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { FORMATS, parseRecords, formatRecords } = require('../utils/bulkFormats');
+const { isShareActive } = require('../utils/shares');
+const { AppError, ValidationError, NotFoundError, wrapError } = require('../utils/errors');
+
+// Rows imported at once
+const IMPORT_CONCURRENCY = 8;
+
+const schema = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * How each entity type is imported and exported
+ *
+ * `columns` are the fields read from and written to files (`type` marks CSV
+ * cells holding lists or booleans), `schema` validates each row and `key`
+ * identifies a row so duplicates within one file are reported. Rows are
+ * created through the same services as the API, so audit entries and
+ * reporting counters stay up to date.
+ */
+const ENTITY_TYPES = {
+  users: {
+    columns: [{ name: 'userId' }, { name: 'email' }, { name: 'name' }],
+    schema: schema('CreateUserRequest'),
+    key: row => row.userId,
+    async create({ userId, email, name }, { actorId }) {
+      await userService.createUser({ userId, email, name }, { actorId });
+      await statsService.onUserCreated(userId);
+    },
+    all: () => users.all()
+  },
+
+  groups: {
+    // Owners are exported as memberships; ownerId is only read on import
+    columns: [{ name: 'groupId' }, { name: 'name' }, { name: 'description' }, { name: 'ownerId' }],
+    schema: schema('CreateGroupRequest'),
+    key: row => row.groupId,
+    async create({ groupId, name, description, ownerId }, { actorId }) {
+      await assertUserExists(ownerId, 'Owner');
+      await groups.create({ groupId, name, description, createdBy: actorId, updatedBy: actorId });
+      if (ownerId) {
+        await groupService.addMember(groupId, ownerId, { role: 'owner', actorId });
+        await statsService.onMembershipChanged(ownerId, groupId);
+      }
+    },
+    all: () => groups.all()
+  },
+
+  memberships: {
+    columns: [{ name: 'userId' }, { name: 'groupId' }, { name: 'role' }],
+    schema: schema('ImportMembership'),
+    key: row => `${row.userId}/${row.groupId}`,
+    async create({ userId, groupId, role }, { actorId }) {
+      await groupService.addMember(groupId, userId, { role, actorId });
+      await statsService.onMembershipChanged(userId, groupId);
+    },
+    all: () => memberships.all()
+  },
+
+  resources: {
+    columns: [
+      { name: 'resourceId' },
+      { name: 'name' },
+      { name: 'description' },
+      { name: 'type' },
+      { name: 'ownerId' },
+      { name: 'isGlobal', type: 'boolean' }
+    ],
+    schema: schema('ImportResource'),
+    key: row => row.resourceId,
+    async create({ resourceId, name, description, type, ownerId, isGlobal = false }, { actorId }) {
+      await assertUserExists(ownerId, 'Owner');
+      await resources.create({ resourceId, name, description, type, ownerId, createdBy: actorId, updatedBy: actorId });
+      // As on POST /resources, a global resource gets its global share rule
+      if (isGlobal) {
+        await accessService.shareResource(resourceId, 'global', undefined, actorId);
+        await statsService.onShareChanged(resourceId, 'global', 'global');
+      } else {
+        await statsService.onResourceChanged(resourceId);
+      }
+    },
+    all: () => resources.all()
+  },
+
+  shares: {
+    columns: [
+      { name: 'resourceId' },
+      { name: 'shareType' },
+      { name: 'targetId' },
+      { name: 'permissions', type: 'list' },
+      { name: 'expiresAt' },
+      { name: 'sharedBy' }
+    ],
+    schema: schema('ImportShare'),
+    key: row => [row.resourceId, row.shareType, row.shareType === 'global' ? 'global' : row.targetId].join('/'),
+    async create({ resourceId, shareType, targetId, permissions, expiresAt, sharedBy }, { actorId }) {
+      if (shareType !== 'global' && !targetId) {
+        throw new ValidationError(`Invalid row: targetId is required for ${shareType} shares`);
+      }
+      const rule = await accessService.shareResource(resourceId, shareType, targetId, sharedBy || actorId, permissions, { expiresAt });
+      await statsService.onShareChanged(resourceId, shareType, rule.targetId);
+    },
+    // Expired rules no longer grant access and could not be imported again
+    all: async () => (await shares.all()).filter(share => isShareActive(share))
+  }
+};
+
+const ENTITY_TYPE_NAMES = Object.keys(ENTITY_TYPES);
+
+async function assertUserExists(userId, label) {
+  if (userId && !(await users.get(userId))) {
+    throw new NotFoundError(`${label} ${userId} not found`);
+  }
+}
+
+function entityType(type) {
+  const definition = ENTITY_TYPES[type];
+  if (!definition) {
+    throw new ValidationError(`Invalid type: must be one of ${ENTITY_TYPE_NAMES.join(', ')}`);
+  }
+  return definition;
+}
+
+function assertFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError(`Invalid format: must be one of ${FORMATS.join(', ')}`);
+  }
+}
+
+// Row validators are compiled on first use, like the request validators
+const validators = new Map();
+
+function validatorFor(type) {
+  if (!validators.has(type)) {
+    validators.set(type, createSchemaValidator(swaggerSpec, ENTITY_TYPES[type].schema, 'row'));
+  }
+  return validators.get(type);
+}
+
+/**
+ * Per-row error entry; unexpected failures are logged and reported generically
+ */
+function rowError(line, key, error) {
+  if (error instanceof AppError) {
+    return { line, key, code: error.code, message: error.message, ...(error.details && { details: error.details }) };
+  }
+  console.error(`Import of line ${line} failed:`, error);
+  return { line, key, code: 'INTERNAL_ERROR', message: 'Internal error while importing the row' };
+}
+
+/**
+ * Imports and exports users, groups, memberships, resources and shares as
+ * JSON Lines or CSV files
+ */
+class BulkService {
+  /**
+   * Import one entity type from a JSON Lines or CSV file
+   *
+   * Rows are validated and created independently: a row that is malformed,
+   * repeats an earlier row, already exists or points at a missing user,
+   * group or resource is reported in `errors` with its line number while the
+   * other rows are still imported. Existing shares are replaced, as when
+   * sharing through the API. Pass `maxRows` to reject larger files outright.
+   */
+  async importRecords(type, text, format, { actorId, maxRows } = {}) {
+    try {
+      const definition = entityType(type);
+      assertFormat(format);
+      const rows = parseRecords(text, format, definition.columns);
+      if (maxRows && rows.length > maxRows) {
+        throw new ValidationError(`Invalid request: at most ${maxRows} rows per import`);
+      }
+
+      const validate = validatorFor(type);
+      const firstLines = new Map();
+      const errors = [];
+
+      await mapWithConcurrency(rows, IMPORT_CONCURRENCY, async ({ line, record, error }) => {
+        if (error) {
+          errors.push({ line, code: ValidationError.code, message: error });
+          return;
+        }
+
+        const key = definition.key(record);
+        const problems = validate(record);
+        if (problems.length > 0) {
+          const [first] = problems;
+          errors.push({ line, key, code: ValidationError.code, message: `Invalid row: ${first.field} ${first.message}`, details: { errors: problems } });
+          return;
+        }
+        if (firstLines.has(key)) {
+          errors.push({ line, key, code: ValidationError.code, message: `Duplicates line ${firstLines.get(key)}` });
+          return;
+        }
+        firstLines.set(key, line);
+
+        try {
+          await definition.create(record, { actorId });
+        } catch (importError) {
+          errors.push(rowError(line, key, importError));
+        }
+      });
+
+      errors.sort((a, b) => a.line - b.line);
+      return {
+        type,
+        total: rows.length,
+        imported: rows.length - errors.length,
+        failed: errors.length,
+        errors
+      };
+    } catch (error) {
+      throw wrapError(error, `Failed to import ${type}`);
+    }
+  }
+
+  /**
+   * Every item of an entity type as a JSON Lines or CSV file
+   * The output can be imported again, e.g. into another stage
+   */
+  async exportRecords(type, format) {
+    try {
+      const definition = entityType(type);
+      assertFormat(format);
+      const items = await definition.all();
+      return {
+        count: items.length,
+        body: formatRecords(items, format, definition.columns)
+      };
+    } catch (error) {
+      throw wrapError(error, `Failed to export ${type}`);
+    }
+  }
+}
+
+module.exports = new BulkService();
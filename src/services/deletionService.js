@@ -0,0 +1,273 @@
+const { users, groups, memberships, resources, shares } = require('../repositories');
+const statsService = require('./statsService');
+const ownershipService = require('./ownershipService');
+const auditService = require('./auditService');
+const groupService = require('./groupService');
+const { auditTarget } = require('../utils/shares');
+const { assertMatches } = require('../utils/conditionalWrites');
+const { ConflictError, NotFoundError, wrapError } = require('../utils/errors');
+
+class DeletionService {
+  /**
+   * Audit entries for sharing rules removed as part of a larger delete
+   */
+  _shareRemovals(rules, actorId, action = 'share.delete') {
+    return rules.map(rule => ({
+      action,
+      actorId,
+      resourceId: rule.resourceId,
+      ...auditTarget(rule.shareType, rule.targetId),
+      before: rule
+    }));
+  }
+
+  /**
+   * Audit entries for memberships removed as part of a larger delete
+   */
+  _membershipRemovals(memberships, actorId) {
+    return memberships.map(membership => ({
+      action: 'membership.remove',
+      actorId,
+      userId: membership.userId,
+      groupId: membership.groupId,
+      before: membership
+    }));
+  }
+
+  /**
+   * Delete a resource together with every sharing rule that points at it
+   *
+   * Rules are never left behind without their resource: they are removed
+   * atomically with it where the storage allows, and otherwise first, so an
+   * interrupted delete can simply be retried.
+   */
+  async deleteResource(resourceId, { actorId, ifMatch } = {}) {
+    try {
+      const resource = await resources.get(resourceId);
+      if (!resource) {
+        throw new NotFoundError('Resource not found');
+      }
+      assertMatches(resource, ifMatch, 'Resource');
+
+      const sharingRules = await shares.findByResource(resourceId);
+
+      // Users whose counters change once the resource is gone
+      const affectedUserIds = await statsService.getExplicitUserIds(resourceId);
+
+      await resources.delete(resourceId, sharingRules);
+
+      await auditService.recordAll([
+        ...this._shareRemovals(sharingRules, actorId),
+        { action: 'resource.delete', actorId, resourceId, before: resource }
+      ]);
+
+      await statsService.onResourceChanged(resourceId, {
+        globalChanged: resource.isGlobal,
+        affectedUserIds: [...affectedUserIds]
+      });
+
+      return {
+        resourceId,
+        sharesRemoved: sharingRules.length
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to delete resource');
+    }
+  }
+
+  /**
+   * Delete a user along with their memberships and the shares targeting them
+   *
+   * Resources the user owns must go somewhere: either to `successorId`, or
+   * the delete is refused until they have been reassigned. Transfers are not
+   * atomic: when some fail the user is kept and a ConflictError lists the
+   * failures, but the resources that did move stay with the successor, so
+   * retrying only moves the rest. A user who is the last owner of a group is
+   * refused with a ConflictError before anything changes.
+   */
+  async deleteUser(userId, { successorId, actorId, ifMatch } = {}) {
+    try {
+      const user = await users.get(userId);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      assertMatches(user, ifMatch, 'User');
+
+      const [ownedResources, userMemberships, targetedShares] = await Promise.all([
+        resources.findByOwner(userId),
+        memberships.findByUser(userId),
+        shares.findByTarget(userId)
+      ]);
+
+      if (ownedResources.length > 0 && !successorId) {
+        throw new ConflictError(
+          `User still owns ${ownedResources.length} resources; pass successorId or reassign them first`
+        );
+      }
+
+      // Groups the user solely owns must be handed over before they can go
+      for (const membership of userMemberships) {
+        await groupService._assertNotLastOwner(membership);
+      }
+
+      // Resources reachable through the user's groups change counts once they leave
+      const groupResourceIds = await Promise.all(
+        userMemberships.map(membership => statsService.getGroupResourceIds(membership.groupId))
+      );
+      const userShares = targetedShares.filter(share => share.shareType === 'user');
+      const affectedResourceIds = [
+        ...userShares.map(share => share.resourceId),
+        ...groupResourceIds.flatMap(resourceIds => [...resourceIds])
+      ];
+
+      if (ownedResources.length > 0) {
+        const transfer = await ownershipService.transferAllResources(userId, successorId, { actorId });
+        if (transfer.failed.length > 0) {
+          throw new ConflictError(
+            `Could not transfer ${transfer.failed.length} resources to ${successorId}; the user was not deleted`,
+            { details: { failed: transfer.failed } }
+          );
+        }
+      }
+
+      await memberships.deleteMany(userMemberships);
+      await shares.deleteMany(userShares);
+      await users.delete(user);
+
+      await auditService.recordAll([
+        ...this._membershipRemovals(userMemberships, actorId),
+        ...this._shareRemovals(userShares, actorId),
+        { action: 'user.delete', actorId, userId, before: user }
+      ]);
+
+      await statsService.onUserDeleted(userId, { affectedResourceIds });
+
+      return {
+        userId,
+        membershipsRemoved: userMemberships.length,
+        sharesRemoved: userShares.length,
+        resourcesTransferred: ownedResources.length,
+        ...(ownedResources.length > 0 && { successorId })
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to delete user');
+    }
+  }
+
+  /**
+   * Delete a group along with its memberships, the shares targeting it and
+   * its place in the group hierarchy
+   */
+  async deleteGroup(groupId, { actorId, ifMatch } = {}) {
+    try {
+      const group = await groups.get(groupId);
+      if (!group) {
+        throw new NotFoundError('Group not found');
+      }
+      assertMatches(group, ifMatch, 'Group');
+
+      const [groupMemberships, targetedShares, children, parents] = await Promise.all([
+        memberships.findByGroup(groupId),
+        shares.findByTarget(groupId),
+        groups.findChildren(groupId),
+        groups.findParents(groupId)
+      ]);
+      const groupShares = targetedShares.filter(share => share.shareType === 'group');
+      const nestings = [...children, ...parents];
+
+      // Members of nested groups lose whatever the group and its ancestors granted
+      const [affectedUserIds, affectedResourceIds] = await Promise.all([
+        statsService.getGroupMemberIds(groupId),
+        statsService.getGroupResourceIds(groupId)
+      ]);
+
+      await memberships.deleteMany(groupMemberships);
+      await shares.deleteMany(groupShares);
+      await groups.deleteNestings(nestings);
+      await groups.delete(groupId);
+
+      await auditService.recordAll([
+        ...this._membershipRemovals(groupMemberships, actorId),
+        ...this._shareRemovals(groupShares, actorId),
+        ...nestings.map(nesting => ({
+          action: 'subgroup.remove',
+          actorId,
+          groupId: nesting.parentGroupId,
+          before: nesting
+        })),
+        { action: 'group.delete', actorId, groupId, before: group }
+      ]);
+
+      await statsService.onGroupDeleted({
+        memberIds: [...affectedUserIds],
+        resourceIds: [...affectedResourceIds]
+      });
+
+      return {
+        groupId,
+        membershipsRemoved: groupMemberships.length,
+        sharesRemoved: groupShares.length,
+        subgroupLinksRemoved: nestings.length
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to delete group');
+    }
+  }
+
+  /**
+   * Remove sharing rules whose `expiresAt` has passed
+   *
+   * DynamoDB TTL deletes expired rules eventually (often hours later) and
+   * silently; sweeping removes them promptly, records each one and keeps the
+   * reporting counters in step.
+   */
+  async sweepExpiredShares(now = new Date()) {
+    try {
+      const expired = await shares.findExpired(now.toISOString());
+
+      const rules = expired.map(({ resourceId, shareType, targetId, sharedBy, expiresAt }) => ({
+        resourceId, shareType, targetId, sharedBy, expiresAt
+      }));
+      await shares.deleteMany(rules);
+      await auditService.recordAll(this._shareRemovals(expired, undefined, 'share.expire'));
+
+      for (const rule of rules) {
+        await statsService.onShareChanged(rule.resourceId, rule.shareType, rule.targetId);
+      }
+
+      return {
+        sweptAt: now.toISOString(),
+        sharesRemoved: rules.length,
+        shares: rules
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to sweep expired shares');
+    }
+  }
+
+  /**
+   * Remove sharing rules whose resource no longer exists
+   * Cleans up rules orphaned before deletes cascaded
+   */
+  async sweepOrphanedShares() {
+    try {
+      const sharingRules = await shares.all();
+      const existing = await resources.getMany(sharingRules.map(rule => rule.resourceId));
+
+      const orphaned = sharingRules
+        .filter(rule => !existing.has(rule.resourceId))
+        .map(({ resourceId, shareType, targetId }) => ({ resourceId, shareType, targetId }));
+      await shares.deleteMany(orphaned);
+
+      return {
+        sharesScanned: sharingRules.length,
+        sharesRemoved: orphaned.length,
+        resources: [...new Set(orphaned.map(rule => rule.resourceId))]
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to sweep orphaned shares');
+    }
+  }
+}
+
+module.exports = new DeletionService();
@@ -0,0 +1,46 @@
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Membership roles within a group, from weakest to strongest
+ *
+ * Members only belong to the group. Admins add and remove members and may
+ * share resources with the group. Owners additionally grant and revoke the
+ * admin and owner roles, and delete the group.
+ */
+const GROUP_ROLES = ['member', 'admin', 'owner'];
+
+/**
+ * Check that a role is part of the vocabulary
+ * Throws a ValidationError listing the allowed roles otherwise
+ */
+function validateRole(role) {
+  if (!GROUP_ROLES.includes(role)) {
+    throw new ValidationError(`Invalid role: ${role} (allowed: ${GROUP_ROLES.join(', ')})`, {
+      details: { allowed: GROUP_ROLES }
+    });
+  }
+  return role;
+}
+
+/**
+ * Whether `role` is at least as strong as `required`
+ * Memberships written before roles existed count as plain members
+ */
+function hasRole(role, required) {
+  return GROUP_ROLES.indexOf(role || 'member') >= GROUP_ROLES.indexOf(required);
+}
+
+/**
+ * Whether a member holding `actorRole` may add, remove or assign `role`
+ * Admins manage plain members only; owners manage every role
+ */
+function canManageRole(actorRole, role) {
+  return hasRole(actorRole, 'owner') || (hasRole(actorRole, 'admin') && !hasRole(role, 'admin'));
+}
+
+module.exports = {
+  GROUP_ROLES,
+  validateRole,
+  hasRole,
+  canManageRole
+};
@@ -0,0 +1,359 @@
+const { users, groups, memberships } = require('../repositories');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { validateRole, hasRole, canManageRole } = require('./groupRoles');
+const auditService = require('./auditService');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, wrapError } = require('../utils/errors');
+
+// Parallel nesting queries issued per level when walking the group hierarchy
+const HIERARCHY_QUERY_CONCURRENCY = 8;
+
+// Upper bound on users added by a single bulk membership call
+const MAX_BULK_MEMBERS = 100;
+
+// Parallel membership writes issued by a bulk add
+const BULK_MEMBER_CONCURRENCY = 8;
+
+/**
+ * Manages group membership and nesting, and walks the group hierarchy
+ *
+ * A group may contain other groups; members of a child group count as
+ * members of every ancestor. Paths are reported top-down, from the outer
+ * group to the group a user directly belongs to.
+ *
+ * Membership methods take the caller's own role in the group as `actorRole`
+ * and refuse changes that role may not make; leave it undefined for service
+ * accounts, which are not restricted.
+ */
+class GroupService {
+  /**
+   * A user's direct membership of a group, or null
+   */
+  async getMembership(groupId, userId) {
+    return memberships.get(userId, groupId);
+  }
+
+  _assertCanManage(actorRole, role) {
+    if (actorRole !== undefined && !canManageRole(actorRole, role)) {
+      throw new ForbiddenError('Only group owners may manage admins and owners');
+    }
+  }
+
+  /**
+   * Refuse to leave a group without any owner
+   */
+  async _assertNotLastOwner(membership) {
+    if (!hasRole(membership.role, 'owner')) {
+      return;
+    }
+    const members = await memberships.findByGroup(membership.groupId);
+    if (members.filter(member => hasRole(member.role, 'owner')).length <= 1) {
+      throw new ConflictError(`Group ${membership.groupId} must keep at least one owner`);
+    }
+  }
+
+  async _assertGroupExists(groupId) {
+    const group = await groups.get(groupId);
+    if (!group) {
+      throw new NotFoundError('Group not found');
+    }
+  }
+
+  /**
+   * Add a user to a group with the given role
+   */
+  async addMember(groupId, userId, options = {}) {
+    try {
+      await this._assertGroupExists(groupId);
+      return await this._addMember(groupId, userId, options);
+    } catch (error) {
+      throw wrapError(error, 'Failed to add group member');
+    }
+  }
+
+  /**
+   * Add many users to a group at once
+   *
+   * Each entry is `{ userId, role }` (role defaults to member). Users are
+   * added independently: the result lists every user in request order with
+   * either the new membership or the reason it was not created.
+   */
+  async addMembers(groupId, members, options = {}) {
+    try {
+      if (members.length > MAX_BULK_MEMBERS) {
+        throw new ValidationError(`Invalid request: at most ${MAX_BULK_MEMBERS} members per call`);
+      }
+      await this._assertGroupExists(groupId);
+
+      const seen = new Set();
+      const results = await mapWithConcurrency(members, BULK_MEMBER_CONCURRENCY, async ({ userId, role }) => {
+        if (seen.has(userId)) {
+          return { userId, status: 'failed', error: `User ${userId} is listed more than once` };
+        }
+        seen.add(userId);
+        try {
+          const membership = await this._addMember(groupId, userId, { ...options, role });
+          return { userId, status: 'added', membership };
+        } catch (error) {
+          return { userId, status: 'failed', error: error.message };
+        }
+      });
+
+      return {
+        groupId,
+        added: results.filter(result => result.status === 'added').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        results
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to add group members');
+    }
+  }
+
+  /**
+   * Add a member to a group already known to exist
+   */
+  async _addMember(groupId, userId, { role = 'member', actorId, actorRole } = {}) {
+    validateRole(role);
+    this._assertCanManage(actorRole, role);
+
+    const [user, existing] = await Promise.all([
+      users.get(userId),
+      this.getMembership(groupId, userId)
+    ]);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (existing) {
+      throw new ConflictError(`User ${userId} is already a member of group ${groupId}`);
+    }
+
+    let membership;
+    try {
+      membership = await memberships.create({
+        userId,
+        groupId,
+        role,
+        addedBy: actorId
+      });
+    } catch (error) {
+      // Lost a race with a concurrent add of the same user
+      if (error instanceof ConflictError) {
+        throw new ConflictError(`User ${userId} is already a member of group ${groupId}`);
+      }
+      throw error;
+    }
+
+    await auditService.record({
+      action: 'membership.add',
+      actorId,
+      userId,
+      groupId,
+      after: membership
+    });
+
+    return membership;
+  }
+
+  /**
+   * Remove a user from a group
+   * Members may always remove themselves, unless they are the last owner
+   */
+  async removeMember(groupId, userId, { actorId, actorRole } = {}) {
+    try {
+      const membership = await this.getMembership(groupId, userId);
+      if (!membership) {
+        throw new NotFoundError('User-group relationship not found');
+      }
+      if (actorId !== userId) {
+        this._assertCanManage(actorRole, membership.role);
+      }
+      await this._assertNotLastOwner(membership);
+
+      await memberships.delete(userId, groupId);
+
+      await auditService.record({
+        action: 'membership.remove',
+        actorId,
+        userId,
+        groupId,
+        before: membership
+      });
+
+      return membership;
+    } catch (error) {
+      throw wrapError(error, 'Failed to remove group member');
+    }
+  }
+
+  /**
+   * Change a member's role
+   * Both the current and the new role must be ones the caller may manage
+   */
+  async changeMemberRole(groupId, userId, role, { actorId, actorRole } = {}) {
+    try {
+      validateRole(role);
+      const membership = await this.getMembership(groupId, userId);
+      if (!membership) {
+        throw new NotFoundError('User-group relationship not found');
+      }
+      this._assertCanManage(actorRole, membership.role);
+      this._assertCanManage(actorRole, role);
+      if (!hasRole(role, 'owner')) {
+        await this._assertNotLastOwner(membership);
+      }
+
+      const updated = await memberships.update(userId, groupId, { role });
+
+      await auditService.record({
+        action: 'membership.update',
+        actorId,
+        userId,
+        groupId,
+        before: membership,
+        after: updated
+      });
+
+      return updated;
+    } catch (error) {
+      throw wrapError(error, 'Failed to change member role');
+    }
+  }
+
+  /**
+   * Breadth-first walk of the hierarchy from a set of starting groups
+   *
+   * `next(groupId)` returns the neighbouring group ids in the direction of
+   * travel. Returns a Map of every reached group (including the starting
+   * ones) to the chain of ids walked from its starting group.
+   */
+  async _walk(groupIds, next) {
+    const paths = new Map([...groupIds].map(groupId => [groupId, [groupId]]));
+    let frontier = [...paths.keys()];
+
+    while (frontier.length > 0) {
+      const neighbours = await mapWithConcurrency(frontier, HIERARCHY_QUERY_CONCURRENCY, next);
+      const reached = [];
+
+      frontier.forEach((groupId, index) => {
+        for (const neighbourId of neighbours[index]) {
+          // The first path found is the shortest; the visited check also guards against cycles
+          if (!paths.has(neighbourId)) {
+            paths.set(neighbourId, [...paths.get(groupId), neighbourId]);
+            reached.push(neighbourId);
+          }
+        }
+      });
+
+      frontier = reached;
+    }
+
+    return paths;
+  }
+
+  async _childIds(groupId) {
+    const children = await groups.findChildren(groupId);
+    return children.map(nesting => nesting.childGroupId);
+  }
+
+  async _parentIds(groupId) {
+    const parents = await groups.findParents(groupId);
+    return parents.map(nesting => nesting.parentGroupId);
+  }
+
+  /**
+   * A group and all groups nested beneath it
+   * Maps each group id to its path from `groupId` down, e.g. [groupId, ..., descendantId]
+   */
+  async getDescendantGroups(groupId) {
+    return this._walk([groupId], id => this._childIds(id));
+  }
+
+  /**
+   * The given groups and every group containing them, directly or indirectly
+   * Maps each group id to its path from that ancestor down to the starting group
+   */
+  async getAncestorGroups(groupIds) {
+    const upward = await this._walk(groupIds, id => this._parentIds(id));
+    return new Map([...upward].map(([groupId, path]) => [groupId, [...path].reverse()]));
+  }
+
+  /**
+   * Nest `childGroupId` inside `parentGroupId`
+   * Refuses nestings that would make a group (indirectly) contain itself
+   */
+  async addSubgroup(parentGroupId, childGroupId, { actorId } = {}) {
+    try {
+      if (parentGroupId === childGroupId) {
+        throw new ValidationError('Invalid subgroup: a group cannot contain itself');
+      }
+
+      const [parent, child] = await Promise.all([
+        groups.get(parentGroupId),
+        groups.get(childGroupId)
+      ]);
+      if (!parent) {
+        throw new NotFoundError('Group not found');
+      }
+      if (!child) {
+        throw new NotFoundError('Subgroup not found');
+      }
+
+      const existing = await groups.getNesting(parentGroupId, childGroupId);
+      if (existing) {
+        throw new ConflictError(`Group ${childGroupId} is already nested in ${parentGroupId}`);
+      }
+
+      const descendants = await this.getDescendantGroups(childGroupId);
+      if (descendants.has(parentGroupId)) {
+        throw new ValidationError(
+          `Invalid subgroup: ${parentGroupId} is already nested in ${childGroupId} ` +
+          `(${descendants.get(parentGroupId).join(' > ')}), so this would create a cycle`
+        );
+      }
+
+      const nesting = await groups.createNesting({
+        parentGroupId,
+        childGroupId,
+        addedBy: actorId
+      });
+
+      await auditService.record({
+        action: 'subgroup.add',
+        actorId,
+        groupId: parentGroupId,
+        after: nesting
+      });
+
+      return nesting;
+    } catch (error) {
+      throw wrapError(error, 'Failed to add subgroup');
+    }
+  }
+
+  /**
+   * Remove a nesting created with `addSubgroup`
+   */
+  async removeSubgroup(parentGroupId, childGroupId, { actorId } = {}) {
+    try {
+      const existing = await groups.getNesting(parentGroupId, childGroupId);
+      if (!existing) {
+        throw new NotFoundError('Subgroup relationship not found');
+      }
+
+      await groups.deleteNesting(parentGroupId, childGroupId);
+
+      await auditService.record({
+        action: 'subgroup.remove',
+        actorId,
+        groupId: parentGroupId,
+        before: existing
+      });
+
+      return existing;
+    } catch (error) {
+      throw wrapError(error, 'Failed to remove subgroup');
+    }
+  }
+}
+
+module.exports = new GroupService();
@@ -0,0 +1,120 @@
+const { users, resources, shares } = require('../repositories');
+const { validatePermissions } = require('./permissions');
+const statsService = require('./statsService');
+const auditService = require('./auditService');
+const { ValidationError, NotFoundError, wrapError } = require('../utils/errors');
+
+class OwnershipService {
+  /**
+   * Move a resource to a new owner
+   *
+   * Pass `keepPermissions` to leave the previous owner a direct share with
+   * those permissions; otherwise they lose owner access entirely.
+   */
+  async transferResource(resourceId, newOwnerId, { keepPermissions, actorId } = {}) {
+    try {
+      if (keepPermissions) {
+        validatePermissions(keepPermissions);
+      }
+
+      const [resource, newOwner] = await Promise.all([
+        resources.get(resourceId),
+        users.get(newOwnerId)
+      ]);
+      if (!resource) {
+        throw new NotFoundError('Resource not found');
+      }
+      if (!newOwner) {
+        throw new NotFoundError('New owner not found');
+      }
+
+      const previousOwnerId = resource.ownerId;
+      if (previousOwnerId === newOwnerId) {
+        throw new ValidationError(`Invalid newOwnerId: ${newOwnerId} already owns resource ${resourceId}`);
+      }
+
+      const updated = await resources.changeOwner(resource, newOwnerId, {
+        updatedAt: new Date().toISOString(),
+        ...(actorId && { updatedBy: actorId })
+      });
+
+      await auditService.record({
+        action: 'ownership.transfer',
+        actorId,
+        resourceId,
+        before: { ownerId: previousOwnerId },
+        after: { ownerId: newOwnerId }
+      });
+
+      let previousOwnerShare = null;
+      if (keepPermissions) {
+        const key = { resourceId, shareType: 'user', targetId: previousOwnerId };
+        const existingShare = await shares.get(key);
+        previousOwnerShare = await shares.put({
+          ...key,
+          sharedBy: actorId || newOwnerId,
+          permissions: keepPermissions
+        });
+        await auditService.record({
+          action: existingShare ? 'share.update' : 'share.create',
+          actorId,
+          resourceId,
+          userId: previousOwnerId,
+          before: existingShare,
+          after: previousOwnerShare
+        });
+        await statsService.onShareChanged(resourceId, 'user', previousOwnerId);
+      }
+
+      return {
+        resourceId,
+        previousOwnerId,
+        ownerId: newOwnerId,
+        resource: updated,
+        previousOwnerShare
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to transfer resource');
+    }
+  }
+
+  /**
+   * Move every resource owned by one user to another
+   * Each resource is transferred independently; failures are reported per resource
+   */
+  async transferAllResources(fromOwnerId, newOwnerId, options = {}) {
+    try {
+      const newOwner = await users.get(newOwnerId);
+      if (!newOwner) {
+        throw new NotFoundError('New owner not found');
+      }
+      if (fromOwnerId === newOwnerId) {
+        throw new ValidationError('Invalid newOwnerId: cannot transfer resources to their current owner');
+      }
+
+      const owned = await resources.findByOwner(fromOwnerId);
+
+      const transferred = [];
+      const failed = [];
+      for (const resource of owned) {
+        try {
+          await this.transferResource(resource.resourceId, newOwnerId, options);
+          transferred.push(resource.resourceId);
+        } catch (error) {
+          failed.push({ resourceId: resource.resourceId, error: error.message });
+        }
+      }
+
+      return {
+        previousOwnerId: fromOwnerId,
+        ownerId: newOwnerId,
+        transferred,
+        failed
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to transfer resources');
+    }
+  }
+}
+
+module.exports = new OwnershipService();
@@ -0,0 +1,82 @@
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Permission vocabulary for resource shares
+ *
+ * Permissions are listed from weakest to strongest. Each entry names the
+ * permissions it implies directly; implications are followed transitively.
+ */
+const PERMISSION_IMPLICATIONS = {
+  read: [],
+  comment: ['read'],
+  write: ['comment'],
+  share: ['read'],
+  admin: ['write', 'share'],
+};
+
+const PERMISSIONS = Object.keys(PERMISSION_IMPLICATIONS);
+
+/**
+ * Check that a list of permissions only uses the known vocabulary
+ * Throws a ValidationError naming the offending values and the allowed ones
+ */
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw new ValidationError('Invalid permissions: expected a non-empty array', {
+      details: { allowed: PERMISSIONS }
+    });
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Invalid permissions: ${unknown.join(', ')} (allowed: ${PERMISSIONS.join(', ')})`,
+      { details: { invalid: unknown, allowed: PERMISSIONS } }
+    );
+  }
+
+  return permissions;
+}
+
+/**
+ * Expand a list of permissions with everything they imply
+ * Unknown values are ignored so legacy rules never grant more than they name
+ */
+function expandPermissions(permissions = []) {
+  const expanded = new Set();
+  const pending = permissions.filter(permission => PERMISSIONS.includes(permission));
+
+  while (pending.length > 0) {
+    const permission = pending.pop();
+    if (!expanded.has(permission)) {
+      expanded.add(permission);
+      pending.push(...PERMISSION_IMPLICATIONS[permission]);
+    }
+  }
+
+  return PERMISSIONS.filter(permission => expanded.has(permission));
+}
+
+/**
+ * Merge the permissions granted through several access paths into one
+ * effective, fully expanded set
+ */
+function mergePermissions(...permissionLists) {
+  return expandPermissions(permissionLists.flat());
+}
+
+/**
+ * Whether a set of granted permissions covers the required permission
+ */
+function hasPermission(granted, required) {
+  return expandPermissions(granted).includes(required);
+}
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_IMPLICATIONS,
+  validatePermissions,
+  expandPermissions,
+  mergePermissions,
+  hasPermission
+};
@@ -0,0 +1,311 @@
+const { users, memberships, resources, shares, stats } = require('../repositories');
+const accessService = require('./accessService');
+const groupService = require('./groupService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { isShareActive } = require('../utils/shares');
+const { wrapError } = require('../utils/errors');
+
+// Parallel recomputations issued when a change touches many users or resources
+const REFRESH_CONCURRENCY = 8;
+
+const USERS_COUNTER = 'users';
+const GLOBAL_RESOURCES_COUNTER = 'globalResources';
+
+/**
+ * Maintains materialised access counts for the reporting endpoints
+ *
+ * Each resource stores how many users reach it through direct or group
+ * shares, and each user stores how many non-global resources are shared with
+ * them. Global access is kept out of both and added back from two system
+ * counters (total users and total global resources) when serving reports, so
+ * toggling a resource global never requires touching every user.
+ */
+class StatsService {
+  /**
+   * Recount globally shared resources from the globalResources index
+   */
+  async refreshGlobalResourceCount() {
+    const globalResources = await resources.findGlobal({ attributes: ['resourceId'] });
+    await stats.setCounter(GLOBAL_RESOURCES_COUNTER, globalResources.length);
+  }
+
+  /**
+   * Users reaching a resource through direct or group shares
+   */
+  async getExplicitUserIds(resourceId) {
+    const sharingRules = await shares.findByResource(resourceId);
+
+    const userIds = new Set();
+    for (const rule of sharingRules.filter(rule => isShareActive(rule))) {
+      if (rule.shareType === 'user') {
+        userIds.add(rule.targetId);
+      } else if (rule.shareType === 'group') {
+        (await this.getGroupMemberIds(rule.targetId)).forEach(userId => userIds.add(userId));
+      }
+    }
+    return userIds;
+  }
+
+  /**
+   * Members of a group, including members of groups nested beneath it
+   */
+  async getGroupMemberIds(groupId) {
+    const groupIds = [...(await groupService.getDescendantGroups(groupId)).keys()];
+    const memberLists = await mapWithConcurrency(groupIds, REFRESH_CONCURRENCY, async id => {
+      const members = await memberships.findByGroup(id);
+      return members.map(member => member.userId);
+    });
+    return new Set(memberLists.flat());
+  }
+
+  /**
+   * Resources shared with a group or with any group containing it
+   */
+  async getGroupResourceIds(groupId) {
+    const groupIds = [...(await groupService.getAncestorGroups([groupId])).keys()];
+    const shareLists = await mapWithConcurrency(groupIds, REFRESH_CONCURRENCY, async id => {
+      const targeted = await shares.findByTarget(id);
+      return targeted.filter(share => share.shareType === 'group').map(share => share.resourceId);
+    });
+    return new Set(shareLists.flat());
+  }
+
+  /**
+   * Recompute and store the explicit user count of a resource
+   */
+  async refreshResource(resourceId) {
+    const resource = await resources.get(resourceId);
+    if (!resource) {
+      await stats.deleteResourceStats(resourceId);
+      return null;
+    }
+
+    const userIds = await this.getExplicitUserIds(resourceId);
+    return stats.putResourceStats({
+      resourceId,
+      userCount: userIds.size,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Recompute and store the number of non-global resources shared with a user
+   */
+  async refreshUser(userId) {
+    const user = await users.get(userId);
+    if (!user) {
+      await stats.deleteUserStats(userId);
+      return null;
+    }
+
+    const userResources = await accessService.getUserResources(userId);
+    return stats.putUserStats({
+      userId,
+      sharedResourceCount: userResources.resources.filter(entry => !entry.resource.isGlobal).length,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  async _refreshUsers(userIds) {
+    await mapWithConcurrency([...userIds], REFRESH_CONCURRENCY, userId => this.refreshUser(userId));
+  }
+
+  async _refreshResources(resourceIds) {
+    await mapWithConcurrency([...resourceIds], REFRESH_CONCURRENCY, resourceId => this.refreshResource(resourceId));
+  }
+
+  /**
+   * Run a counter update without failing the request that triggered it
+   * Counts that drift because of a failure are fixed by `rebuild`
+   */
+  async _safely(label, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`Failed to update access stats after ${label}:`, error.message);
+    }
+  }
+
+  /**
+   * A share rule was created or removed
+   */
+  async onShareChanged(resourceId, shareType, targetId) {
+    await this._safely('share change', async () => {
+      if (shareType === 'global') {
+        await this.onResourceChanged(resourceId, { globalChanged: true });
+        return;
+      }
+
+      await this.refreshResource(resourceId);
+      if (shareType === 'user') {
+        await this.refreshUser(targetId);
+      } else if (shareType === 'group') {
+        await this._refreshUsers(await this.getGroupMemberIds(targetId));
+      }
+    });
+  }
+
+  /**
+   * A resource was created, updated or deleted
+   * When its global flag changed, users with explicit access are recounted
+   */
+  async onResourceChanged(resourceId, { globalChanged = false, affectedUserIds = [] } = {}) {
+    await this._safely('resource change', async () => {
+      const userIds = new Set(affectedUserIds);
+      if (globalChanged) {
+        await this.refreshGlobalResourceCount();
+        (await this.getExplicitUserIds(resourceId)).forEach(userId => userIds.add(userId));
+      }
+      await this.refreshResource(resourceId);
+      await this._refreshUsers(userIds);
+    });
+  }
+
+  /**
+   * A user joined or left a group
+   */
+  async onMembershipChanged(userId, groupId) {
+    await this._safely('membership change', async () => {
+      await this.refreshUser(userId);
+      await this._refreshResources(await this.getGroupResourceIds(groupId));
+    });
+  }
+
+  /**
+   * Several users joined the same group at once
+   */
+  async onMembersAdded(groupId, userIds) {
+    await this._safely('membership change', async () => {
+      await this._refreshUsers(userIds);
+      await this._refreshResources(await this.getGroupResourceIds(groupId));
+    });
+  }
+
+  /**
+   * A group was nested in, or removed from, another group
+   * Members of the child now reach (or no longer reach) the parent's resources
+   */
+  async onGroupNestingChanged(parentGroupId, childGroupId) {
+    await this._safely('group nesting change', async () => {
+      await this._refreshResources(await this.getGroupResourceIds(parentGroupId));
+      await this._refreshUsers(await this.getGroupMemberIds(childGroupId));
+    });
+  }
+
+  async onUserCreated(userId) {
+    await this._safely('user creation', async () => {
+      await stats.adjustCounter(USERS_COUNTER, 1);
+      await this.refreshUser(userId);
+    });
+  }
+
+  /**
+   * A user was deleted
+   * Pass the resources they reached when their shares were removed with them
+   */
+  async onUserDeleted(userId, { affectedResourceIds = [] } = {}) {
+    await this._safely('user deletion', async () => {
+      await stats.adjustCounter(USERS_COUNTER, -1);
+      await stats.deleteUserStats(userId);
+      const directShares = await shares.findByTarget(userId);
+      await this._refreshResources(new Set([
+        ...affectedResourceIds,
+        ...directShares.filter(share => share.shareType === 'user').map(share => share.resourceId)
+      ]));
+    });
+  }
+
+  /**
+   * A group was deleted along with its memberships and shares
+   */
+  async onGroupDeleted({ memberIds = [], resourceIds = [] } = {}) {
+    await this._safely('group deletion', async () => {
+      await this._refreshResources(new Set(resourceIds));
+      await this._refreshUsers(new Set(memberIds));
+    });
+  }
+
+  /**
+   * Read stats items in batches, recomputing any that are missing
+   */
+  async _loadStats(load, ids, refresh) {
+    const found = await load(ids);
+
+    const missing = ids.filter(id => !found.has(id));
+    const refreshed = await mapWithConcurrency(missing, REFRESH_CONCURRENCY, id => refresh(id));
+    refreshed.forEach((item, index) => item && found.set(missing[index], item));
+
+    return found;
+  }
+
+  /**
+   * Get resources with user count (reporting)
+   */
+  async getResourcesWithUserCount() {
+    try {
+      const [allResources, totalUsers] = await Promise.all([
+        resources.all(),
+        stats.getCounter(USERS_COUNTER)
+      ]);
+      const resourceStats = await this._loadStats(
+        ids => stats.getResourceStats(ids),
+        allResources.map(resource => resource.resourceId),
+        resourceId => this.refreshResource(resourceId)
+      );
+
+      return allResources.map(resource => ({
+        resource: resource,
+        userCount: resource.isGlobal ? totalUsers : (resourceStats.get(resource.resourceId) || {}).userCount || 0,
+        accessType: resource.isGlobal ? 'global' : 'specific'
+      }));
+    } catch (error) {
+      throw wrapError(error, 'Failed to get resources with user count');
+    }
+  }
+
+  /**
+   * Get users with resource count (reporting)
+   */
+  async getUsersWithResourceCount() {
+    try {
+      const [allUsers, globalResources] = await Promise.all([
+        users.all(),
+        stats.getCounter(GLOBAL_RESOURCES_COUNTER)
+      ]);
+      const userStats = await this._loadStats(
+        ids => stats.getUserStats(ids),
+        allUsers.map(user => user.userId),
+        userId => this.refreshUser(userId)
+      );
+
+      return allUsers.map(user => ({
+        user: user,
+        resourceCount: ((userStats.get(user.userId) || {}).sharedResourceCount || 0) + globalResources
+      }));
+    } catch (error) {
+      throw wrapError(error, 'Failed to get users with resource count');
+    }
+  }
+
+  /**
+   * Recompute every counter from scratch
+   */
+  async rebuild() {
+    const [allUsers, allResources] = await Promise.all([
+      users.all({ attributes: ['userId'] }),
+      resources.all({ attributes: ['resourceId'] })
+    ]);
+
+    await stats.setCounter(USERS_COUNTER, allUsers.length);
+    await this.refreshGlobalResourceCount();
+    await this._refreshResources(allResources.map(resource => resource.resourceId));
+    await this._refreshUsers(allUsers.map(user => user.userId));
+
+    return {
+      users: allUsers.length,
+      resources: allResources.length
+    };
+  }
+}
+
+module.exports = new StatsService();
@@ -0,0 +1,87 @@
+const { users } = require('../repositories');
+const { normalizeEmail } = require('../utils/email');
+const { assertMatches } = require('../utils/conditionalWrites');
+const { NotFoundError, wrapError } = require('../utils/errors');
+
+/**
+ * Creates, updates and looks up users while keeping emails unique
+ *
+ * Emails are stored lower-cased. The users repository reserves each user's
+ * email together with the user itself, so two users can never hold the same
+ * address even under concurrent writes.
+ */
+class UserService {
+  /**
+   * Create a user and reserve its email
+   */
+  async createUser({ userId, email, name }, { actorId } = {}) {
+    try {
+      const now = new Date().toISOString();
+      const user = {
+        userId,
+        email: normalizeEmail(email),
+        name,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: actorId,
+        updatedBy: actorId
+      };
+
+      return await users.create(user);
+    } catch (error) {
+      throw wrapError(error, 'Failed to create user');
+    }
+  }
+
+  /**
+   * Update a user's name and/or email
+   *
+   * Changing the email moves the reservation in the same transaction as the
+   * user update. With `ifMatch` the update only applies to that version.
+   */
+  async updateUser(userId, { email, name }, { actorId, ifMatch } = {}) {
+    try {
+      const current = await users.get(userId);
+      if (!current) {
+        throw new NotFoundError('User not found');
+      }
+      assertMatches(current, ifMatch, 'User');
+
+      const changes = {
+        ...(name && { name }),
+        updatedAt: new Date().toISOString(),
+        updatedBy: actorId
+      };
+
+      const newEmail = email && normalizeEmail(email);
+      if (!newEmail || newEmail === normalizeEmail(current.email)) {
+        return await users.update(userId, {
+          ...changes,
+          ...(newEmail && { email: newEmail })
+        }, { ifMatch });
+      }
+
+      // Only applies to the version read above, so the released reservation is the right one
+      return await users.changeEmail(current, { ...changes, email: newEmail }, { ifMatch });
+    } catch (error) {
+      throw wrapError(error, 'Failed to update user');
+    }
+  }
+
+  /**
+   * Look up a user by email, ignoring case
+   */
+  async getUserByEmail(email) {
+    try {
+      const user = await users.findByEmail(normalizeEmail(email));
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      return user;
+    } catch (error) {
+      throw wrapError(error, 'Failed to get user by email');
+    }
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,138 @@
+const path = require('path');
+const swaggerJsdoc = require('swagger-jsdoc');
+
+/**
+ * OpenAPI specification assembled from the `@swagger` blocks in the route files
+ *
+ * Serves the documentation at /api-docs and is also the source of truth for
+ * request validation (see middleware/validateRequest.js).
+ */
+const swaggerOptions = {
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Resource Sharing System API',
+      version: '1.0.0',
+      description: 'A resource sharing system with access control for users, groups, and global sharing',
+      contact: {
+        name: 'API Support',
+        email: 'support@example.com'
+      }
+    },
+    servers: [
+      {
+        url: process.env.STAGE === 'prod' 
+          ? 'https://your-api-gateway-url.amazonaws.com/prod'
+          : 'http://localhost:3000',
+        description: process.env.STAGE === 'prod' ? 'Production server' : 'Development server'
+      }
+    ],
+    tags: [
+      {
+        name: 'Users',
+        description: 'User management operations'
+      },
+      {
+        name: 'Groups',
+        description: 'Group management operations'
+      },
+      {
+        name: 'Resources',
+        description: 'Resource sharing and access operations'
+      },
+      {
+        name: 'Access',
+        description: 'Access check operations'
+      },
+      {
+        name: 'Audit',
+        description: 'Audit log of sharing, membership and ownership changes'
+      },
+      {
+        name: 'Admin',
+        description: 'Bulk import and export (service accounts only)'
+      },
+      {
+        name: 'Reporting',
+        description: 'Reporting and analytics operations'
+      }
+    ],
+    security: [
+      { bearerAuth: [] },
+      { apiKeyAuth: [] }
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Signed user token; the `sub` claim is the caller\'s userId'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key for service accounts'
+        }
+      },
+      parameters: {
+        Limit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 1000, default: 50 },
+          description: 'Maximum number of items to return'
+        },
+        Cursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description: 'Opaque cursor from a previous response\'s nextCursor'
+        },
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          schema: { type: 'string' },
+          description: 'ETag from a previous read; the write fails with 412 if the item has changed since'
+        }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: {
+                  type: 'string',
+                  enum: [
+                    'VALIDATION_ERROR',
+                    'UNAUTHORIZED',
+                    'FORBIDDEN',
+                    'NOT_FOUND',
+                    'CONFLICT',
+                    'PRECONDITION_FAILED',
+                    'INTERNAL_ERROR'
+                  ],
+                  description: 'Machine-readable error code; stable across releases'
+                },
+                message: {
+                  type: 'string',
+                  description: 'Human-readable error message'
+                },
+                details: {
+                  type: 'object',
+                  description: 'Optional structured context, e.g. the allowed values of an invalid field'
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  apis: [path.join(__dirname, 'routes', '*.js')]
+};
+
+module.exports = swaggerJsdoc(swaggerOptions);
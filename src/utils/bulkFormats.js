@@ -0,0 +1,201 @@
+const { ValidationError } = require('./errors');
+
+const FORMATS = ['jsonl', 'csv'];
+
+const CONTENT_TYPES = {
+  jsonl: 'application/x-ndjson',
+  csv: 'text/csv'
+};
+
+// Separates the values of list columns such as permissions within one CSV cell
+const LIST_SEPARATOR = '|';
+
+/**
+ * Split JSON Lines text into rows
+ *
+ * Returns `{ line, record }` per non-blank line, or `{ line, error }` when a
+ * line is not a JSON object, so one bad line does not reject the whole file.
+ */
+function parseJsonLines(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (!content.trim()) {
+      return;
+    }
+    const line = index + 1;
+    try {
+      const record = JSON.parse(content);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        rows.push({ line, error: 'Expected a JSON object' });
+      } else {
+        rows.push({ line, record });
+      }
+    } catch (error) {
+      rows.push({ line, error: `Invalid JSON: ${error.message}` });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Split CSV text into records of cells, following RFC 4180 quoting
+ * Each record notes the line it starts on, since quoted cells may span lines
+ */
+function splitCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== '') {
+      records.push({ line: start, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      start = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError(`Invalid CSV: unterminated quoted value starting on line ${start}`);
+  }
+  endRecord();
+  return records;
+}
+
+function decodeCell(value, column) {
+  if (value === '') {
+    return undefined;
+  }
+  if (column.type === 'list') {
+    return value.split(LIST_SEPARATOR).map(entry => entry.trim()).filter(Boolean);
+  }
+  if (column.type === 'boolean' && ['true', 'false'].includes(value.toLowerCase())) {
+    return value.toLowerCase() === 'true';
+  }
+  return value;
+}
+
+/**
+ * Turn CSV text with a header row into rows of `{ line, record }`
+ *
+ * Cells are decoded using `columns` (`{ name, type }` with type `list` or
+ * `boolean`); empty cells are left out of the record and columns the entity
+ * does not know are ignored.
+ */
+function parseCsv(text, columns) {
+  // Spreadsheet exports often start with a byte order mark
+  const [header, ...records] = splitCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+
+  const byName = new Map(columns.map(column => [column.name, column]));
+  const names = header.cells.map(name => name.trim());
+
+  return records.map(({ line, cells }) => {
+    if (cells.length !== names.length) {
+      return { line, error: `Expected ${names.length} values, found ${cells.length}` };
+    }
+    const record = {};
+    names.forEach((name, index) => {
+      const column = byName.get(name);
+      const value = column && decodeCell(cells[index], column);
+      if (value !== undefined) {
+        record[name] = value;
+      }
+    });
+    return { line, record };
+  });
+}
+
+function encodeCell(value, column) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = column.type === 'list' ? value.join(LIST_SEPARATOR) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write records as CSV with a header row of the column names
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(column => column.name).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => encodeCell(record[column.name], column)).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write records as JSON Lines, keeping only the given columns
+ */
+function toJsonLines(records, columns) {
+  return records
+    .map(record => JSON.stringify(Object.fromEntries(
+      columns
+        .filter(column => record[column.name] !== undefined && record[column.name] !== null)
+        .map(column => [column.name, record[column.name]])
+    )))
+    .map(line => `${line}\n`)
+    .join('');
+}
+
+/**
+ * Parse an import file in either format
+ */
+function parseRecords(text, format, columns) {
+  return format === 'csv' ? parseCsv(text, columns) : parseJsonLines(text);
+}
+
+/**
+ * Write an export file in either format
+ */
+function formatRecords(records, format, columns) {
+  return format === 'csv' ? toCsv(records, columns) : toJsonLines(records, columns);
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  parseJsonLines,
+  parseCsv,
+  toCsv,
+  toJsonLines,
+  parseRecords,
+  formatRecords
+};
@@ -0,0 +1,23 @@
+/**
+ * Map over items with an async function, running at most `limit` calls at once
+ * Results are returned in the same order as the input
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, () => worker());
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
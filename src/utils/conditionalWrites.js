@@ -0,0 +1,91 @@
+const { ConflictError, NotFoundError, PreconditionFailedError } = require('./errors');
+
+/**
+ * Whether a DynamoDB write was rejected by its condition expression
+ * ElectroDB wraps client errors and keeps the original as `cause`
+ */
+function isConditionFailure(error) {
+  const cause = error.cause || error;
+  return cause.code === 'ConditionalCheckFailedException';
+}
+
+/**
+ * Read the `updatedAt` value a client expects from the If-Match header
+ * Returns null when the header is absent or `*` (any current version)
+ */
+function parseIfMatch(req) {
+  const header = (req.get('If-Match') || '').trim();
+  if (!header || header === '*') {
+    return null;
+  }
+  return header.replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Entity tag for an item; items change version whenever `updatedAt` changes
+ */
+function etagFor(item) {
+  return `"${item.updatedAt}"`;
+}
+
+/**
+ * Create an item, reporting an existing item with the same key as a conflict
+ * `label` names the item in errors, e.g. `User user1`
+ */
+async function createUnique(entity, item, label) {
+  try {
+    const result = await entity.create(item).go();
+    return result.data;
+  } catch (error) {
+    if (isConditionFailure(error)) {
+      throw new ConflictError(`${label} already exists`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update an existing item without ever creating it
+ *
+ * With `ifMatch` the write also requires the stored `updatedAt` to equal it.
+ * A rejected write is re-read to tell a missing item (NotFoundError) from one
+ * that changed in the meantime (PreconditionFailedError).
+ */
+async function patchExisting(entity, key, changes, { ifMatch, label }) {
+  let operation = entity.patch(key).set(changes);
+  if (ifMatch) {
+    operation = operation.where(({ updatedAt }, { eq }) => eq(updatedAt, ifMatch));
+  }
+
+  try {
+    const result = await operation.go({ response: 'all_new' });
+    return result.data;
+  } catch (error) {
+    if (!isConditionFailure(error)) {
+      throw error;
+    }
+    const current = await entity.get(key).go();
+    if (!current.data) {
+      throw new NotFoundError(`${label} not found`);
+    }
+    throw new PreconditionFailedError(`Precondition failed: ${label} was modified at ${current.data.updatedAt}`);
+  }
+}
+
+/**
+ * Refuse to act on an item whose `updatedAt` no longer matches If-Match
+ */
+function assertMatches(item, ifMatch, label) {
+  if (ifMatch && item.updatedAt !== ifMatch) {
+    throw new PreconditionFailedError(`Precondition failed: ${label} was modified at ${item.updatedAt}`);
+  }
+}
+
+module.exports = {
+  isConditionFailure,
+  parseIfMatch,
+  etagFor,
+  createUnique,
+  patchExisting,
+  assertMatches
+};
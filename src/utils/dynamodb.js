@@ -0,0 +1,62 @@
+require('dotenv').config();
+const AWS = require('aws-sdk');
+
+// Used when DYNAMODB_TABLE_PREFIX is unset, e.g. local development
+const DEFAULT_TABLE_PREFIX = 'resource-sharing-system-dev';
+
+/**
+ * Connection settings shared by every DynamoDB client in the app
+ *
+ * Setting DYNAMODB_ENDPOINT (e.g. http://localhost:8000 for DynamoDB Local)
+ * points the models, table setup and seeding at that endpoint instead of AWS.
+ * Local endpoints accept any credentials, so placeholders are used when none
+ * are configured.
+ */
+function getClientConfig() {
+  const config = { region: process.env.AWS_REGION || 'us-east-1' };
+
+  if (isLocal()) {
+    config.endpoint = process.env.DYNAMODB_ENDPOINT;
+    if (!process.env.AWS_ACCESS_KEY_ID) {
+      config.credentials = new AWS.Credentials('local', 'local');
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Whether DynamoDB calls go to a local endpoint rather than AWS
+ */
+function isLocal() {
+  return Boolean(process.env.DYNAMODB_ENDPOINT);
+}
+
+/**
+ * Full name of one of the app's tables, e.g. `tableName('users')`
+ */
+function tableName(suffix) {
+  return `${process.env.DYNAMODB_TABLE_PREFIX || DEFAULT_TABLE_PREFIX}-${suffix}`;
+}
+
+/**
+ * Document client used by the ElectroDB models
+ */
+function createDocumentClient() {
+  return new AWS.DynamoDB.DocumentClient(getClientConfig());
+}
+
+/**
+ * Low-level client used to create and inspect tables
+ */
+function createDynamoDbClient() {
+  return new AWS.DynamoDB(getClientConfig());
+}
+
+module.exports = {
+  getClientConfig,
+  isLocal,
+  tableName,
+  createDocumentClient,
+  createDynamoDbClient
+};
@@ -0,0 +1,10 @@
+/**
+ * Canonical form of an email address, used for storage, uniqueness and lookups
+ */
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+module.exports = {
+  normalizeEmail
+};
@@ -0,0 +1,74 @@
+/**
+ * Errors the API reports to clients
+ *
+ * Each class carries the HTTP status and a stable, machine-readable `code`;
+ * `details` holds optional structured context (e.g. the allowed values of an
+ * invalid field). Anything thrown that is not an AppError is treated as an
+ * internal error and its message is never sent to the client.
+ */
+class AppError extends Error {
+  static status = 500;
+  static code = 'INTERNAL_ERROR';
+
+  constructor(message, { details, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = this.constructor.status;
+    this.code = this.constructor.code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+class ValidationError extends AppError {
+  static status = 400;
+  static code = 'VALIDATION_ERROR';
+}
+
+class UnauthorizedError extends AppError {
+  static status = 401;
+  static code = 'UNAUTHORIZED';
+}
+
+class ForbiddenError extends AppError {
+  static status = 403;
+  static code = 'FORBIDDEN';
+}
+
+class NotFoundError extends AppError {
+  static status = 404;
+  static code = 'NOT_FOUND';
+}
+
+class ConflictError extends AppError {
+  static status = 409;
+  static code = 'CONFLICT';
+}
+
+class PreconditionFailedError extends AppError {
+  static status = 412;
+  static code = 'PRECONDITION_FAILED';
+}
+
+/**
+ * Add context to an unexpected error while letting AppErrors through unchanged
+ * Used by service methods in place of re-throwing `Failed to ...` errors
+ */
+function wrapError(error, context) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  return new Error(`${context}: ${error.message}`, { cause: error });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  wrapError
+};
@@ -0,0 +1,30 @@
+// CloudWatch namespace for the metrics emitted by the API and scheduled jobs
+const NAMESPACE = 'ResourceSharing';
+
+/**
+ * Emit a count metric as a CloudWatch Embedded Metric Format log line
+ *
+ * Lambda turns EMF lines written to stdout into metrics, dimensioned by stage,
+ * without an extra API call; elsewhere they are ordinary JSON log lines.
+ * `properties` are logged alongside the metric for investigation.
+ */
+function emitCount(name, value = 1, properties = {}) {
+  console.log(JSON.stringify({
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: NAMESPACE,
+        Dimensions: [['Stage']],
+        Metrics: [{ Name: name, Unit: 'Count' }]
+      }]
+    },
+    Stage: process.env.STAGE || 'local',
+    [name]: value,
+    ...properties
+  }));
+}
+
+module.exports = {
+  NAMESPACE,
+  emitCount
+};
@@ -0,0 +1,271 @@
+const { mapWithConcurrency } = require('./concurrency');
+const { tableName } = require('./dynamodb');
+
+// Items read per scan page; progress is saved after each page
+const DEFAULT_BATCH_SIZE = 25;
+
+// Items of a page transformed at once
+const ITEM_CONCURRENCY = 5;
+
+/**
+ * Runs the data migrations in src/migrations and records their progress
+ *
+ * `store` reads the items a migration visits and keeps one record per
+ * migration (see `dynamoDbMigrationStore`). A migration is applied page by
+ * page: items for which `needsUp` holds are passed to `up`, and the scan
+ * position is saved after every page, so an interrupted run resumes where it
+ * stopped. Because items are checked again before being transformed, pages
+ * repeated after an interruption are harmless. `down` does the same with
+ * `needsDown`/`down` and removes the record once the migration is reverted.
+ * A dry run only counts the items each migration would transform.
+ */
+function createMigrationRunner({ migrations, store, log = console.log }) {
+  const byId = new Map();
+  for (const migration of migrations) {
+    if (byId.has(migration.id)) {
+      throw new Error(`Duplicate migration id ${migration.id}`);
+    }
+    if (!migration.table || typeof migration.up !== 'function' || typeof migration.needsUp !== 'function') {
+      throw new Error(`Migration ${migration.id} needs a table, up and needsUp`);
+    }
+    if (typeof migration.down === 'function' && typeof migration.needsDown !== 'function') {
+      throw new Error(`Migration ${migration.id} defines down without needsDown`);
+    }
+    byId.set(migration.id, migration);
+  }
+
+  const directions = {
+    up: { needs: 'needsUp', transform: 'up', status: 'applying', verb: 'Applying' },
+    down: { needs: 'needsDown', transform: 'down', status: 'reverting', verb: 'Reverting' }
+  };
+
+  function find(migrationId) {
+    const migration = byId.get(migrationId);
+    if (!migration) {
+      throw new Error(`Unknown migration ${migrationId}`);
+    }
+    return migration;
+  }
+
+  async function records() {
+    const all = await store.all();
+    return new Map(all.map(record => [record.migrationId, record]));
+  }
+
+  /**
+   * Visit every item of a migration from `cursor`, transforming those that need it
+   * `onPage` is called with the totals after each page
+   */
+  async function visit(migration, direction, { cursor, batchSize, dryRun }, onPage) {
+    const { needs, transform } = directions[direction];
+    const totals = { scanned: 0, changed: 0 };
+
+    do {
+      const page = await store.scan(migration, { cursor, limit: batchSize });
+      const touched = await mapWithConcurrency(page.items, ITEM_CONCURRENCY, async item => {
+        if (!await migration[needs](item, { log })) {
+          return false;
+        }
+        if (!dryRun) {
+          await migration[transform](item, { log });
+        }
+        return true;
+      });
+
+      totals.scanned += page.items.length;
+      totals.changed += touched.filter(Boolean).length;
+      cursor = page.nextCursor;
+      await onPage(totals, cursor);
+    } while (cursor);
+
+    return totals;
+  }
+
+  async function run(migration, direction, { dryRun, batchSize }) {
+    const { status, verb } = directions[direction];
+    const record = await store.get(migration.id);
+
+    if (dryRun) {
+      const totals = await visit(migration, direction, { batchSize, dryRun }, () => {});
+      log(`🔍 ${migration.id}: would ${direction === 'up' ? 'apply to' : 'revert'} ${totals.changed} of ${totals.scanned} items`);
+      return { migrationId: migration.id, ...totals, dryRun: true };
+    }
+
+    if (record && record.status !== status && !(direction === 'down' && record.status === 'applied')) {
+      const command = record.status === 'reverting' ? 'down' : 'up';
+      throw new Error(`Migration ${migration.id} was interrupted while ${record.status}; run ${command} to finish it first`);
+    }
+
+    const resuming = Boolean(record && record.status === status);
+    const progress = {
+      migrationId: migration.id,
+      description: migration.description,
+      status,
+      scanned: resuming ? record.scanned : 0,
+      changed: resuming ? record.changed : 0,
+      startedAt: resuming ? record.startedAt : new Date().toISOString()
+    };
+    const cursor = resuming ? record.cursor : undefined;
+
+    log(resuming
+      ? `⏯️  Resuming ${migration.id} after ${progress.scanned} items`
+      : `⏳ ${verb} ${migration.id}: ${migration.description}`);
+    if (!resuming) {
+      await store.put({ ...progress, updatedAt: new Date().toISOString() });
+    }
+
+    const start = { scanned: progress.scanned, changed: progress.changed };
+    await visit(migration, direction, { cursor, batchSize }, async (totals, nextCursor) => {
+      progress.scanned = start.scanned + totals.scanned;
+      progress.changed = start.changed + totals.changed;
+      if (nextCursor) {
+        await store.put({ ...progress, cursor: nextCursor, updatedAt: new Date().toISOString() });
+      }
+    });
+
+    if (direction === 'up') {
+      const finishedAt = new Date().toISOString();
+      await store.put({ ...progress, status: 'applied', appliedAt: finishedAt, updatedAt: finishedAt });
+    } else {
+      await store.delete(migration.id);
+    }
+
+    log(`✅ ${migration.id}: ${direction === 'up' ? 'applied to' : 'reverted'} ${progress.changed} of ${progress.scanned} items`);
+    return { migrationId: migration.id, scanned: progress.scanned, changed: progress.changed };
+  }
+
+  return {
+    /**
+     * Every known migration with its record, in order, followed by records of
+     * migrations no longer in src/migrations
+     */
+    async status() {
+      const recorded = await records();
+      const known = migrations.map(migration => {
+        const record = recorded.get(migration.id);
+        recorded.delete(migration.id);
+        return {
+          migrationId: migration.id,
+          description: migration.description,
+          status: record ? record.status : 'pending',
+          reversible: typeof migration.down === 'function',
+          ...(record && { scanned: record.scanned, changed: record.changed, startedAt: record.startedAt, appliedAt: record.appliedAt })
+        };
+      });
+      const unknown = [...recorded.values()].map(record => ({ ...record, unknown: true }));
+      return [...known, ...unknown];
+    },
+
+    /**
+     * Apply pending (and finish interrupted) migrations in order, up to and including `to`
+     */
+    async up({ to, dryRun = false, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+      const last = to ? migrations.indexOf(find(to)) : migrations.length - 1;
+      const recorded = await records();
+      const results = [];
+
+      for (const migration of migrations.slice(0, last + 1)) {
+        const record = recorded.get(migration.id);
+        if (record && record.status === 'applied') {
+          continue;
+        }
+        results.push(await run(migration, 'up', { dryRun, batchSize }));
+      }
+
+      if (results.length === 0) {
+        log('✅ No pending migrations');
+      }
+      return results;
+    },
+
+    /**
+     * Revert applied migrations, newest first
+     * Without `to` only the latest one is reverted; with `to` every migration
+     * after it and `to` itself are reverted.
+     */
+    async down({ to, dryRun = false, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+      const recorded = await records();
+      const applied = migrations.filter(migration => recorded.has(migration.id)).reverse();
+      if (to && !applied.includes(find(to))) {
+        throw new Error(`Migration ${to} is not applied`);
+      }
+
+      const targets = to
+        ? applied.slice(0, applied.indexOf(find(to)) + 1)
+        : applied.slice(0, 1);
+      if (targets.length === 0) {
+        log('✅ No applied migrations to revert');
+      }
+
+      const results = [];
+      for (const migration of targets) {
+        if (typeof migration.down !== 'function') {
+          throw new Error(`Migration ${migration.id} cannot be reverted`);
+        }
+        results.push(await run(migration, 'down', { dryRun, batchSize }));
+      }
+      return results;
+    }
+  };
+}
+
+/**
+ * Migration store backed by DynamoDB
+ *
+ * Migrations visit the raw items of `tableName(migration.table)`, limited to
+ * the ElectroDB `entity` (and `version`) when the migration names one, so
+ * items written under an older version of an entity are still found.
+ * Progress is kept in the migrations table.
+ */
+function dynamoDbMigrationStore() {
+  const { Migration, client } = require('../models');
+
+  return {
+    async scan(migration, { cursor, limit }) {
+      const params = { TableName: tableName(migration.table), Limit: limit };
+      if (cursor) {
+        params.ExclusiveStartKey = JSON.parse(cursor);
+      }
+      if (migration.entity) {
+        params.FilterExpression = '#entity = :entity';
+        params.ExpressionAttributeNames = { '#entity': '__edb_e__' };
+        params.ExpressionAttributeValues = { ':entity': migration.entity };
+        if (migration.version) {
+          params.FilterExpression += ' AND #version = :version';
+          params.ExpressionAttributeNames['#version'] = '__edb_v__';
+          params.ExpressionAttributeValues[':version'] = migration.version;
+        }
+      }
+
+      const result = await client.scan(params).promise();
+      return {
+        items: result.Items,
+        nextCursor: result.LastEvaluatedKey ? JSON.stringify(result.LastEvaluatedKey) : null
+      };
+    },
+
+    async get(migrationId) {
+      const record = await Migration.get({ migrationId }).go();
+      return record.data;
+    },
+
+    async all() {
+      const records = await Migration.scan.go({ pages: 'all' });
+      return records.data;
+    },
+
+    async put(record) {
+      await Migration.put(record).go();
+    },
+
+    async delete(migrationId) {
+      await Migration.delete({ migrationId }).go();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  createMigrationRunner,
+  dynamoDbMigrationStore
+};
@@ -0,0 +1,58 @@
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Read `limit` and `cursor` from a request's query string
+ * Returns `{ error }` when either value is malformed
+ */
+function parsePagination(query = {}) {
+  let limit = DEFAULT_PAGE_SIZE;
+
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  const cursor = query.cursor || null;
+  if (cursor) {
+    // Cursors are opaque to clients but are base64url encoded JSON keys
+    try {
+      JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { error: 'cursor is invalid' };
+    }
+  }
+
+  return { limit, cursor };
+}
+
+/**
+ * Run an ElectroDB query or scan for a single page of results
+ *
+ * Keeps reading DynamoDB pages until `limit` items are collected (filters and
+ * the 1 MB response cap can leave individual pages short) and returns the
+ * cursor to continue from, or null when there are no more items. `options`
+ * are passed through to `go`, e.g. `{ order: 'desc' }`.
+ */
+async function paginate(operation, { limit, cursor }, options = {}) {
+  const result = await operation.go({
+    ...options,
+    count: limit,
+    cursor,
+    pages: 'all'
+  });
+
+  return {
+    items: result.data,
+    nextCursor: result.cursor || null
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginate
+};
@@ -1,11 +1,12 @@
-const { User, Group, UserGroup, Resource, ResourceSharing, client } = require('../models');
-const AWS = require('aws-sdk');
+const { User, UserEmail, Group, UserGroup, GroupNesting, Resource, ResourceSharing, ResourceStats, UserStats, Counter, client } = require('../models');
+const statsService = require('../services/statsService');
+const deletionService = require('../services/deletionService');
+const userService = require('../services/userService');
+const { tableDefinitions, diffTable } = require('../models/tables');
+const { createDynamoDbClient, isLocal } = require('./dynamodb');
 
-// Initialize DynamoDB client for table operations
-const dynamodb = new AWS.DynamoDB({
-  region: process.env.AWS_REGION || 'us-east-1',
-  // endpoint: process.env.DYNAMODB_ENDPOINT,
-});
+// Initialize DynamoDB client for table operations (same endpoint as the models)
+const dynamodb = createDynamoDbClient();
 
 /**
  * Check if a DynamoDB table exists
@@ -54,118 +55,32 @@ async function createTable(tableName, keySchema, attributeDefinitions, globalSec
   }
 }
 
+/**
+ * Turn on DynamoDB TTL for a table if it is not already enabled
+ */
+async function enableTimeToLive(tableName, attributeName) {
+  const current = await dynamodb.describeTimeToLive({ TableName: tableName }).promise();
+  const status = current.TimeToLiveDescription && current.TimeToLiveDescription.TimeToLiveStatus;
+  if (status === 'ENABLED' || status === 'ENABLING') {
+    return;
+  }
+
+  await dynamodb.updateTimeToLive({
+    TableName: tableName,
+    TimeToLiveSpecification: { AttributeName: attributeName, Enabled: true }
+  }).promise();
+  console.log(`✅ Enabled TTL on ${tableName} (${attributeName})`);
+}
+
 /**
  * Ensure all required tables exist
  */
 async function ensureTablesExist() {
-  console.log('🔍 Checking if DynamoDB tables exist...');
-  
-  const tablePrefix = process.env.DYNAMODB_TABLE_PREFIX || 'resource-sharing-system-dev';
-  
-  const tables = [
-    {
-      name: `${tablePrefix}-users`,
-      keySchema: [
-        { AttributeName: 'pk', KeyType: 'HASH' },
-        { AttributeName: 'sk', KeyType: 'RANGE' }
-      ],
-      attributeDefinitions: [
-        { AttributeName: 'pk', AttributeType: 'S' },
-        { AttributeName: 'sk', AttributeType: 'S' },
-        { AttributeName: 'gsi1pk', AttributeType: 'S' },
-        { AttributeName: 'gsi1sk', AttributeType: 'S' }
-      ],
-      globalSecondaryIndexes: [
-        {
-          IndexName: 'gsi1',
-          KeySchema: [
-            { AttributeName: 'gsi1pk', KeyType: 'HASH' },
-            { AttributeName: 'gsi1sk', KeyType: 'RANGE' }
-          ],
-          Projection: { ProjectionType: 'ALL' }
-        }
-      ]
-    },
-    {
-      name: `${tablePrefix}-groups`,
-      keySchema: [
-        { AttributeName: 'pk', KeyType: 'HASH' },
-        { AttributeName: 'sk', KeyType: 'RANGE' }
-      ],
-      attributeDefinitions: [
-        { AttributeName: 'pk', AttributeType: 'S' },
-        { AttributeName: 'sk', AttributeType: 'S' }
-      ]
-    },
-    {
-      name: `${tablePrefix}-resources`,
-      keySchema: [
-        { AttributeName: 'pk', KeyType: 'HASH' },
-        { AttributeName: 'sk', KeyType: 'RANGE' }
-      ],
-      attributeDefinitions: [
-        { AttributeName: 'pk', AttributeType: 'S' },
-        { AttributeName: 'sk', AttributeType: 'S' },
-        { AttributeName: 'gsi1pk', AttributeType: 'S' },
-        { AttributeName: 'gsi1sk', AttributeType: 'S' },
-        { AttributeName: 'gsi2pk', AttributeType: 'S' },
-        { AttributeName: 'gsi2sk', AttributeType: 'S' }
-      ],
-      globalSecondaryIndexes: [
-        {
-          IndexName: 'gsi1',
-          KeySchema: [
-            { AttributeName: 'gsi1pk', KeyType: 'HASH' },
-            { AttributeName: 'gsi1sk', KeyType: 'RANGE' }
-          ],
-          Projection: { ProjectionType: 'ALL' }
-        },
-        {
-          IndexName: 'gsi2',
-          KeySchema: [
-            { AttributeName: 'gsi2pk', KeyType: 'HASH' },
-            { AttributeName: 'gsi2sk', KeyType: 'RANGE' }
-          ],
-          Projection: { ProjectionType: 'ALL' }
-        }
-      ]
-    },
-    {
-      name: `${tablePrefix}-sharing`,
-      keySchema: [
-        { AttributeName: 'pk', KeyType: 'HASH' },
-        { AttributeName: 'sk', KeyType: 'RANGE' }
-      ],
-      attributeDefinitions: [
-        { AttributeName: 'pk', AttributeType: 'S' },
-        { AttributeName: 'sk', AttributeType: 'S' },
-        { AttributeName: 'gsi1pk', AttributeType: 'S' },
-        { AttributeName: 'gsi1sk', AttributeType: 'S' },
-        { AttributeName: 'gsi2pk', AttributeType: 'S' },
-        { AttributeName: 'gsi2sk', AttributeType: 'S' }
-      ],
-      globalSecondaryIndexes: [
-        {
-          IndexName: 'gsi1',
-          KeySchema: [
-            { AttributeName: 'gsi1pk', KeyType: 'HASH' },
-            { AttributeName: 'gsi1sk', KeyType: 'RANGE' }
-          ],
-          Projection: { ProjectionType: 'ALL' }
-        },
-        {
-          IndexName: 'gsi2',
-          KeySchema: [
-            { AttributeName: 'gsi2pk', KeyType: 'HASH' },
-            { AttributeName: 'gsi2sk', KeyType: 'RANGE' }
-          ],
-          Projection: { ProjectionType: 'ALL' }
-        }
-      ]
-    }
-  ];
+  console.log(isLocal()
+    ? `🔍 Checking if DynamoDB tables exist at ${process.env.DYNAMODB_ENDPOINT}...`
+    : '🔍 Checking if DynamoDB tables exist...');
 
-  for (const table of tables) {
+  for (const table of tableDefinitions()) {
     const exists = await tableExists(table.name);
     if (!exists) {
       console.log(`📝 Creating table: ${table.name}`);
@@ -173,11 +88,49 @@ async function ensureTablesExist() {
     } else {
       console.log(`✅ Table ${table.name} already exists`);
     }
+
+    if (table.timeToLiveAttribute) {
+      await enableTimeToLive(table.name, table.timeToLiveAttribute);
+    }
   }
   
   console.log('✅ All tables are ready!\n');
 }
 
+/**
+ * Compare the live tables with the definitions derived from the models
+ *
+ * Reports missing tables, key schemas, indexes and TTL settings that differ,
+ * and fails if any table does not match.
+ */
+async function checkTables() {
+  let mismatched = 0;
+
+  for (const table of tableDefinitions()) {
+    if (!await tableExists(table.name)) {
+      console.log(`❌ ${table.name}: table is missing`);
+      mismatched++;
+      continue;
+    }
+
+    const { Table: description } = await dynamodb.describeTable({ TableName: table.name }).promise();
+    const { TimeToLiveDescription: timeToLive } = await dynamodb.describeTimeToLive({ TableName: table.name }).promise();
+    const problems = diffTable(table, description, timeToLive);
+
+    if (problems.length === 0) {
+      console.log(`✅ ${table.name} matches the models`);
+    } else {
+      problems.forEach(problem => console.log(`❌ ${table.name}: ${problem}`));
+      mismatched++;
+    }
+  }
+
+  if (mismatched > 0) {
+    throw new Error(`${mismatched} table(s) differ from the model definitions; run npm run setup:tables for missing tables or redeploy`);
+  }
+  console.log('✅ All tables match the models');
+}
+
 /**
  * Setup script to create sample data for testing
  */
@@ -201,7 +154,7 @@ async function setupSampleData() {
     console.log('Creating users...');
     for (const userData of users) {
       try {
-        await User.create(userData).go();
+        await userService.createUser(userData);
         console.log(`Created user: ${userData.name}`);
       } catch (error) {
         console.log(error);
@@ -229,12 +182,12 @@ async function setupSampleData() {
 
     // Create user-group memberships
     const memberships = [
-      { userId: 'user1', groupId: 'group1' }, // Alice in Developers
+      { userId: 'user1', groupId: 'group1', role: 'owner' }, // Alice owns Developers
       { userId: 'user2', groupId: 'group1' }, // Bob in Developers
-      { userId: 'user3', groupId: 'group2' }, // Charlie in Designers
-      { userId: 'user4', groupId: 'group2' }, // Diana in Designers
-      { userId: 'user4', groupId: 'group3' }, // Diana also in Managers
-      { userId: 'user5', groupId: 'group4' }, // Eve in QA
+      { userId: 'user3', groupId: 'group2', role: 'owner' }, // Charlie owns Designers
+      { userId: 'user4', groupId: 'group2', role: 'admin' }, // Diana administers Designers
+      { userId: 'user4', groupId: 'group3', role: 'owner' }, // Diana also owns Managers
+      { userId: 'user5', groupId: 'group4', role: 'owner' }, // Eve owns QA
     ];
 
     console.log('Creating user-group memberships...');
@@ -247,6 +200,21 @@ async function setupSampleData() {
       }
     }
 
+    // Nest groups: members of the child count as members of the parent
+    const nestings = [
+      { parentGroupId: 'group3', childGroupId: 'group4' }, // QA reports to Managers
+    ];
+
+    console.log('Creating group nestings...');
+    for (const nesting of nestings) {
+      try {
+        await GroupNesting.create(nesting).go();
+        console.log(`Nested ${nesting.childGroupId} in ${nesting.parentGroupId}`);
+      } catch (error) {
+        console.log(`Nesting might already exist`);
+      }
+    }
+
     // Create sample resources
     const resources = [
       {
@@ -319,6 +287,14 @@ async function setupSampleData() {
         sharedBy: 'user3',
         permissions: ['read', 'write']
       },
+      // Resource 3: Shared globally (the rule behind isGlobal)
+      {
+        resourceId: 'resource3',
+        shareType: 'global',
+        targetId: 'global',
+        sharedBy: 'user4',
+        permissions: ['read']
+      },
       // Resource 4: Shared with specific users
       {
         resourceId: 'resource4',
@@ -354,13 +330,15 @@ async function setupSampleData() {
       }
     }
 
+    await rebuildStats();
+
     console.log('\n✅ Sample data setup completed!');
     console.log('\nSample data summary:');
     console.log('- 5 users created');
     console.log('- 4 groups created');
     console.log('- 6 user-group memberships created');
     console.log('- 5 resources created (1 global, 4 specific)');
-    console.log('- 5 sharing rules created');
+    console.log('- 6 sharing rules created');
     
     console.log('\nTest scenarios:');
     console.log('1. GET /resource/resource1/access-list - Should show Developers group members');
@@ -407,6 +385,12 @@ async function cleanupSampleData() {
       }).go();
     }
 
+    // Delete group nestings
+    const nestings = await GroupNesting.scan.go({ pages: 'all' });
+    if (nestings.data.length > 0) {
+      await GroupNesting.delete(nestings.data).go();
+    }
+
     // Delete groups
     const groups = await Group.scan.go();
     for (const group of groups.data) {
@@ -419,6 +403,20 @@ async function cleanupSampleData() {
       await User.delete({ userId: user.userId }).go();
     }
 
+    // Delete email reservations
+    const emails = await UserEmail.scan.go({ pages: 'all' });
+    if (emails.data.length > 0) {
+      await UserEmail.delete(emails.data).go();
+    }
+
+    // Delete reporting counters
+    for (const entity of [ResourceStats, UserStats, Counter]) {
+      const items = await entity.scan.go({ pages: 'all' });
+      if (items.data.length > 0) {
+        await entity.delete(items.data).go();
+      }
+    }
+
     console.log('✅ Sample data cleanup completed!');
   } catch (error) {
     console.error('Error cleaning up sample data:', error);
@@ -426,10 +424,44 @@ async function cleanupSampleData() {
   }
 }
 
+/**
+ * Recompute the materialised reporting counters from scratch
+ */
+async function rebuildStats() {
+  console.log('🔢 Rebuilding reporting counters...');
+  const summary = await statsService.rebuild();
+  console.log(`✅ Recounted access for ${summary.resources} resources and ${summary.users} users`);
+  return summary;
+}
+
+/**
+ * Remove sharing rules whose expiry has passed
+ */
+async function sweepExpiredShares() {
+  console.log('⏰ Sweeping expired sharing rules...');
+  const report = await deletionService.sweepExpiredShares();
+  console.log(`✅ Removed ${report.sharesRemoved} expired sharing rules`);
+  return report;
+}
+
+/**
+ * Remove sharing rules left behind by resources deleted before deletes cascaded
+ */
+async function sweepOrphanedShares() {
+  console.log('🧹 Sweeping sharing rules for deleted resources...');
+  const report = await deletionService.sweepOrphanedShares();
+  console.log(`✅ Scanned ${report.sharesScanned} sharing rules, removed ${report.sharesRemoved}`);
+  return report;
+}
+
 module.exports = {
   setupSampleData,
+  rebuildStats,
+  sweepOrphanedShares,
+  sweepExpiredShares,
   cleanupSampleData,
   ensureTablesExist,
+  checkTables,
   tableExists,
   createTable
 };
@@ -0,0 +1,33 @@
+/**
+ * Whether a sharing rule is still in effect
+ * Rules without `expiresAt` never expire
+ */
+function isShareActive(share, now = Date.now()) {
+  return !share.expiresAt || Date.parse(share.expiresAt) > now;
+}
+
+/**
+ * Convert an `expiresAt` timestamp to the epoch seconds DynamoDB TTL expects
+ */
+function toTtl(expiresAt) {
+  return Math.floor(Date.parse(expiresAt) / 1000);
+}
+
+/**
+ * Audit entry fields naming the user or group a rule shares with
+ */
+function auditTarget(shareType, targetId) {
+  if (shareType === 'user') {
+    return { userId: targetId };
+  }
+  if (shareType === 'group') {
+    return { groupId: targetId };
+  }
+  return {};
+}
+
+module.exports = {
+  isShareActive,
+  toTtl,
+  auditTarget
+};
@@ -2,6 +2,13 @@ const axios = require('axios');
 
 const BASE_URL = process.env.API_URL || 'http://localhost:3000';
 
+// Credentials for the API: a signed user token or a service account API key
+const authHeaders = process.env.API_TOKEN
+  ? { Authorization: `Bearer ${process.env.API_TOKEN}` }
+  : { 'X-API-Key': process.env.API_KEY || '' };
+
+const api = axios.create({ baseURL: BASE_URL, headers: authHeaders });
+
 /**
  * Test script to verify API endpoints
  */
@@ -11,27 +18,27 @@ async function testEndpoints() {
 
     // Test 1: Health check
     console.log('1. Testing health check...');
-    const healthResponse = await axios.get(`${BASE_URL}/health`);
+    const healthResponse = await api.get('/health');
     console.log('✅ Health check passed:', healthResponse.data);
 
     // Test 2: Get all users
     console.log('\n2. Testing get all users...');
-    const usersResponse = await axios.get(`${BASE_URL}/users`);
-    console.log('✅ Users retrieved:', usersResponse.data.length, 'users');
+    const usersResponse = await api.get('/users');
+    console.log('✅ Users retrieved:', usersResponse.data.items.length, 'users');
 
     // Test 3: Get all groups
     console.log('\n3. Testing get all groups...');
-    const groupsResponse = await axios.get(`${BASE_URL}/groups`);
-    console.log('✅ Groups retrieved:', groupsResponse.data.length, 'groups');
+    const groupsResponse = await api.get('/groups');
+    console.log('✅ Groups retrieved:', groupsResponse.data.items.length, 'groups');
 
     // Test 4: Get all resources
     console.log('\n4. Testing get all resources...');
-    const resourcesResponse = await axios.get(`${BASE_URL}/resources`);
-    console.log('✅ Resources retrieved:', resourcesResponse.data.length, 'resources');
+    const resourcesResponse = await api.get('/resources');
+    console.log('✅ Resources retrieved:', resourcesResponse.data.items.length, 'resources');
 
     // Test 5: Get resource access list (resource1 - should have Developers group access)
     console.log('\n5. Testing resource access list for resource1...');
-    const accessListResponse = await axios.get(`${BASE_URL}/resource/resource1/access-list`);
+    const accessListResponse = await api.get('/resource/resource1/access-list');
     console.log('✅ Resource access list:', {
       resourceId: accessListResponse.data.resourceId,
       accessType: accessListResponse.data.accessType,
@@ -40,7 +47,7 @@ async function testEndpoints() {
 
     // Test 6: Get user resources (user1 - Alice)
     console.log('\n6. Testing user resources for user1...');
-    const userResourcesResponse = await axios.get(`${BASE_URL}/resource/user/user1/resources`);
+    const userResourcesResponse = await api.get('/resource/user/user1/resources');
     console.log('✅ User resources:', {
       userId: userResourcesResponse.data.userId,
       totalResources: userResourcesResponse.data.totalResources
@@ -48,7 +55,7 @@ async function testEndpoints() {
 
     // Test 7: Get global resource access (resource3 - Company Handbook)
     console.log('\n7. Testing global resource access for resource3...');
-    const globalAccessResponse = await axios.get(`${BASE_URL}/resource/resource3/access-list`);
+    const globalAccessResponse = await api.get('/resource/resource3/access-list');
     console.log('✅ Global resource access:', {
       resourceId: globalAccessResponse.data.resourceId,
       accessType: globalAccessResponse.data.accessType,
@@ -57,27 +64,26 @@ async function testEndpoints() {
 
     // Test 8: Get resources with user count (reporting)
     console.log('\n8. Testing resources with user count...');
-    const resourcesWithCountResponse = await axios.get(`${BASE_URL}/resource/resources/with-user-count`);
+    const resourcesWithCountResponse = await api.get('/resource/resources/with-user-count');
     console.log('✅ Resources with user count:', resourcesWithCountResponse.data.length, 'resources');
 
     // Test 9: Get users with resource count (reporting)
     console.log('\n9. Testing users with resource count...');
-    const usersWithCountResponse = await axios.get(`${BASE_URL}/resource/users/with-resource-count`);
+    const usersWithCountResponse = await api.get('/resource/users/with-resource-count');
     console.log('✅ Users with resource count:', usersWithCountResponse.data.length, 'users');
 
     // Test 10: Test sharing a resource
     console.log('\n10. Testing resource sharing...');
-    const shareResponse = await axios.post(`${BASE_URL}/resource/resource1/share`, {
+    const shareResponse = await api.post('/resource/resource1/share', {
       shareType: 'user',
       targetId: 'user5',
-      sharedBy: 'user1',
       permissions: ['read']
     });
     console.log('✅ Resource shared successfully');
 
     // Test 11: Verify the new share
     console.log('\n11. Verifying new share...');
-    const updatedAccessResponse = await axios.get(`${BASE_URL}/resource/resource1/access-list`);
+    const updatedAccessResponse = await api.get('/resource/resource1/access-list');
     console.log('✅ Updated access list:', {
       totalUsers: updatedAccessResponse.data.totalUsers
     });
@@ -113,7 +119,7 @@ async function testAccessControlScenarios() {
     console.log('- Diana should have access to resource2 (shared with Designers)');
     console.log('- Diana should have access to resource3 (global)');
     
-    const dianaResources = await axios.get(`${BASE_URL}/user/user4/resources`);
+    const dianaResources = await api.get('/user/user4/resources');
     console.log('✅ Diana has access to', dianaResources.data.totalResources, 'resources');
 
     // Scenario 2: Group access
@@ -121,7 +127,7 @@ async function testAccessControlScenarios() {
     console.log('- resource1 is shared with Developers group');
     console.log('- Alice and Bob are in Developers group');
     
-    const resource1Access = await axios.get(`${BASE_URL}/resource/resource1/access-list`);
+    const resource1Access = await api.get('/resource/resource1/access-list');
     console.log('✅ resource1 has', resource1Access.data.totalUsers, 'users with access');
 
     // Scenario 3: Global access
@@ -129,7 +135,7 @@ async function testAccessControlScenarios() {
     console.log('- resource3 (Company Handbook) is global');
     console.log('- All users should have access');
     
-    const resource3Access = await axios.get(`${BASE_URL}/resource/resource3/access-list`);
+    const resource3Access = await api.get('/resource/resource3/access-list');
     console.log('✅ resource3 has', resource3Access.data.totalUsers, 'users with access (should be all users)');
 
     console.log('\n🎉 Access control scenarios tested successfully!');
@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const { useEnv, loadStore } = require('./memoryStore');
+
+const JWT_SECRET = 'test-secret';
+const API_KEY = 'test-api-key';
+
+/**
+ * Serve the app on a random port for each test of the calling `describe`
+ * block, against a fresh in-memory store holding the sample data
+ *
+ * The returned object is filled in before each test: `as(userId)` sends
+ * requests as that user, `asService()` as the `svc` service account and
+ * `send(headers)` with the given headers only. The resulting functions take
+ * `(method, path, body, headers)` and resolve to `{ status, headers, body }`.
+ */
+function useApi() {
+  const api = {};
+  let server;
+
+  useEnv({
+    STORAGE_DRIVER: 'memory',
+    AUTH_JWT_KEYS: JSON.stringify({ test: JWT_SECRET }),
+    AUTH_API_KEYS: JSON.stringify({ svc: API_KEY })
+  });
+
+  beforeEach(async () => {
+    const repositories = await loadStore();
+    const app = require('../../src/app');
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const send = headers => async (method, path, body, extraHeaders = {}) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { ...headers, ...extraHeaders, ...(body !== undefined && { 'Content-Type': 'application/json' }) },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    Object.assign(api, {
+      repositories,
+      send,
+      as: userId => send({ Authorization: `Bearer ${jwt.sign({ sub: userId }, JWT_SECRET)}` }),
+      asService: () => send({ 'X-API-Key': API_KEY })
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  return api;
+}
+
+module.exports = {
+  JWT_SECRET,
+  API_KEY,
+  useApi
+};
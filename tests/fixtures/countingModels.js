@@ -0,0 +1,95 @@
+/**
+ * Minimal stand-ins for the ElectroDB entities used by AccessService
+ *
+ * Every `.go()` call counts as one DynamoDB round trip; batch gets count one
+ * round trip per 100 keys, matching BatchGetItem's limit.
+ */
+function createCountingModels({ users = [], memberships = [], nestings = [], resources = [], shares = [] } = {}) {
+  const stats = { roundTrips: 0, inFlight: 0, maxInFlight: 0 };
+
+  const call = (result, roundTrips = 1) => ({
+    go: async () => {
+      stats.roundTrips += roundTrips;
+      stats.inFlight++;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      stats.inFlight--;
+      return result();
+    }
+  });
+
+  const User = {
+    get: ({ userId }) => call(() => ({ data: users.find(user => user.userId === userId) || null }))
+  };
+
+  const UserGroup = {
+    query: {
+      primary: ({ userId }) => call(() => ({ data: memberships.filter(m => m.userId === userId) })),
+      byGroup: ({ groupId }) => call(() => ({ data: memberships.filter(m => m.groupId === groupId) }))
+    }
+  };
+
+  const GroupNesting = {
+    query: {
+      primary: ({ parentGroupId }) => call(() => ({ data: nestings.filter(n => n.parentGroupId === parentGroupId) })),
+      byChild: ({ childGroupId }) => call(() => ({ data: nestings.filter(n => n.childGroupId === childGroupId) }))
+    }
+  };
+
+  const Resource = {
+    get: (key) => {
+      if (Array.isArray(key)) {
+        const ids = key.map(k => k.resourceId);
+        return call(
+          () => ({ data: resources.filter(r => ids.includes(r.resourceId)), unprocessed: [] }),
+          Math.ceil(key.length / 100)
+        );
+      }
+      return call(() => ({ data: resources.find(r => r.resourceId === key.resourceId) || null }));
+    },
+    query: {
+      globalResources: () => call(() => ({ data: resources.filter(r => r.isGlobal) }))
+    }
+  };
+
+  const ResourceSharing = {
+    query: {
+      primary: ({ resourceId }) => call(() => ({ data: shares.filter(s => s.resourceId === resourceId) })),
+      byTarget: ({ targetId }) => call(() => ({ data: shares.filter(s => s.targetId === targetId) }))
+    }
+  };
+
+  return { models: { User, Group: {}, UserGroup, GroupNesting, Resource, ResourceSharing }, stats };
+}
+
+/**
+ * A user in `groupCount` groups with `resourceCount` resources shared across them
+ */
+function buildLargeMembershipFixture({ groupCount = 20, resourceCount = 500 } = {}) {
+  const users = [{ userId: 'user1', email: 'user1@example.com', name: 'User One' }];
+  const memberships = [];
+  const resources = [];
+  const shares = [];
+
+  for (let g = 0; g < groupCount; g++) {
+    memberships.push({ userId: 'user1', groupId: `group${g}` });
+  }
+
+  for (let r = 0; r < resourceCount; r++) {
+    resources.push({ resourceId: `resource${r}`, name: `Resource ${r}`, type: 'document', ownerId: 'owner', isGlobal: false });
+    shares.push({
+      resourceId: `resource${r}`,
+      shareType: 'group',
+      targetId: `group${r % groupCount}`,
+      sharedBy: 'owner',
+      permissions: ['read']
+    });
+  }
+
+  return { users, memberships, resources, shares };
+}
+
+module.exports = {
+  createCountingModels,
+  buildLargeMembershipFixture
+};
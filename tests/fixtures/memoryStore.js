@@ -0,0 +1,54 @@
+const { seedSampleData } = require('./sampleData');
+
+/**
+ * Set environment variables for the tests of the calling `describe` block and
+ * put the previous values back once they have run
+ */
+function useEnv(settings) {
+  const previous = {};
+
+  beforeAll(() => {
+    for (const [name, value] of Object.entries(settings)) {
+      previous[name] = process.env[name];
+      process.env[name] = value;
+    }
+  });
+
+  afterAll(() => {
+    for (const name of Object.keys(settings)) {
+      if (previous[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = previous[name];
+      }
+    }
+  });
+}
+
+/**
+ * Run the tests of the calling `describe` block against the in-memory driver
+ */
+function useMemoryStore() {
+  useEnv({ STORAGE_DRIVER: 'memory' });
+}
+
+/**
+ * Reload the modules under test against a fresh in-memory store, seeded with
+ * the sample data unless `seed` is false
+ *
+ * Modules required after this call share the returned repositories.
+ */
+async function loadStore({ seed = true } = {}) {
+  jest.resetModules();
+  const repositories = require('../../src/repositories');
+  if (seed) {
+    await seedSampleData(repositories);
+  }
+  return repositories;
+}
+
+module.exports = {
+  useEnv,
+  useMemoryStore,
+  loadStore
+};
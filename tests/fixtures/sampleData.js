@@ -0,0 +1,79 @@
+/**
+ * The sample data created by `npm run setup`, written through the repositories
+ *
+ * Developers (group1): Alice (owner), Bob
+ * Designers (group2): Charlie (owner), Diana (admin)
+ * Managers (group3): Diana (owner), containing QA (group4): Eve (owner)
+ *
+ * resource1 is shared with Developers, resource2 with Designers, resource4
+ * with Alice and Charlie directly, resource5 with QA; resource3 is global.
+ */
+const users = [
+  { userId: 'user1', email: 'alice@example.com', name: 'Alice Johnson' },
+  { userId: 'user2', email: 'bob@example.com', name: 'Bob Smith' },
+  { userId: 'user3', email: 'charlie@example.com', name: 'Charlie Brown' },
+  { userId: 'user4', email: 'diana@example.com', name: 'Diana Prince' },
+  { userId: 'user5', email: 'eve@example.com', name: 'Eve Wilson' }
+];
+
+const groups = [
+  { groupId: 'group1', name: 'Developers' },
+  { groupId: 'group2', name: 'Designers' },
+  { groupId: 'group3', name: 'Managers' },
+  { groupId: 'group4', name: 'QA' }
+];
+
+const memberships = [
+  { userId: 'user1', groupId: 'group1', role: 'owner' },
+  { userId: 'user2', groupId: 'group1' },
+  { userId: 'user3', groupId: 'group2', role: 'owner' },
+  { userId: 'user4', groupId: 'group2', role: 'admin' },
+  { userId: 'user4', groupId: 'group3', role: 'owner' },
+  { userId: 'user5', groupId: 'group4', role: 'owner' }
+];
+
+const nestings = [
+  { parentGroupId: 'group3', childGroupId: 'group4' }
+];
+
+const resources = [
+  { resourceId: 'resource1', name: 'Project Alpha Documentation', type: 'document', ownerId: 'user1' },
+  { resourceId: 'resource2', name: 'Design System Guidelines', type: 'document', ownerId: 'user3' },
+  { resourceId: 'resource3', name: 'Company Handbook', type: 'document', ownerId: 'user4', isGlobal: true },
+  { resourceId: 'resource4', name: 'API Documentation', type: 'document', ownerId: 'user2' },
+  { resourceId: 'resource5', name: 'Test Cases Repository', type: 'repository', ownerId: 'user5' }
+];
+
+const shares = [
+  { resourceId: 'resource1', shareType: 'group', targetId: 'group1', sharedBy: 'user1', permissions: ['read'] },
+  { resourceId: 'resource2', shareType: 'group', targetId: 'group2', sharedBy: 'user3', permissions: ['read', 'write'] },
+  { resourceId: 'resource3', shareType: 'global', targetId: 'global', sharedBy: 'user4', permissions: ['read'] },
+  { resourceId: 'resource4', shareType: 'user', targetId: 'user1', sharedBy: 'user2', permissions: ['read'] },
+  { resourceId: 'resource4', shareType: 'user', targetId: 'user3', sharedBy: 'user2', permissions: ['read'] },
+  { resourceId: 'resource5', shareType: 'group', targetId: 'group4', sharedBy: 'user5', permissions: ['read', 'write'] }
+];
+
+async function seedSampleData(repositories) {
+  for (const user of users) {
+    await repositories.users.create(user);
+  }
+  for (const group of groups) {
+    await repositories.groups.create(group);
+  }
+  for (const membership of memberships) {
+    await repositories.memberships.create(membership);
+  }
+  for (const nesting of nestings) {
+    await repositories.groups.createNesting(nesting);
+  }
+  for (const resource of resources) {
+    await repositories.resources.create(resource);
+  }
+  for (const share of shares) {
+    await repositories.shares.create(share);
+  }
+}
+
+module.exports = {
+  seedSampleData
+};
@@ -0,0 +1,75 @@
+const { tableDefinitions, cloudFormationResources, diffTable } = require('../../src/models/tables');
+
+const indexNames = table => (table.globalSecondaryIndexes || []).map(index => index.IndexName);
+
+describe('table definitions', () => {
+  const tables = Object.fromEntries(tableDefinitions().map(table => [table.suffix, table]));
+
+  it('collects the indexes every entity in a table queries', () => {
+    expect(Object.keys(tables).sort()).toEqual(['audit', 'groups', 'migrations', 'resources', 'sharing', 'stats', 'users']);
+    expect(indexNames(tables.users)).toEqual(['gsi1']);
+    expect(indexNames(tables.groups)).toEqual(['gsi1']);
+    expect(indexNames(tables.resources)).toEqual(['gsi1', 'gsi2']);
+    expect(indexNames(tables.sharing)).toEqual(['gsi1', 'gsi2']);
+    expect(indexNames(tables.stats)).toEqual([]);
+    expect(indexNames(tables.audit)).toEqual(['gsi1', 'gsi2', 'gsi3', 'gsi4']);
+  });
+
+  it('defines every key attribute as a string', () => {
+    expect(tables.resources.keySchema).toEqual([
+      { AttributeName: 'pk', KeyType: 'HASH' },
+      { AttributeName: 'sk', KeyType: 'RANGE' }
+    ]);
+    expect(tables.resources.attributeDefinitions.map(attribute => attribute.AttributeName))
+      .toEqual(['pk', 'sk', 'gsi1pk', 'gsi1sk', 'gsi2pk', 'gsi2sk']);
+    expect(tables.resources.attributeDefinitions.every(attribute => attribute.AttributeType === 'S')).toBe(true);
+  });
+
+  it('builds the CloudFormation tables with the deployment prefix', async () => {
+    const resolveVariable = jest.fn().mockResolvedValue('app-prod');
+    const { Resources } = await cloudFormationResources({ resolveVariable });
+
+    expect(Object.keys(Resources)).toEqual(expect.arrayContaining(['UsersTable', 'SharingTable', 'AuditTable']));
+    expect(Resources.ResourcesTable.Properties).toMatchObject({
+      TableName: 'app-prod-resources',
+      BillingMode: 'PAY_PER_REQUEST',
+      GlobalSecondaryIndexes: tables.resources.globalSecondaryIndexes
+    });
+    expect(Resources.SharingTable.Properties.TimeToLiveSpecification).toEqual({ AttributeName: 'ttl', Enabled: true });
+    expect(Resources.StatsTable.Properties.GlobalSecondaryIndexes).toBeUndefined();
+  });
+
+  describe('diffTable', () => {
+    const live = table => ({
+      KeySchema: table.keySchema,
+      GlobalSecondaryIndexes: (table.globalSecondaryIndexes || []).map(index => ({ ...index, IndexStatus: 'ACTIVE' }))
+    });
+
+    it('accepts a table that matches', () => {
+      expect(diffTable(tables.users, live(tables.users))).toEqual([]);
+      expect(diffTable(tables.sharing, live(tables.sharing), { TimeToLiveStatus: 'ENABLED', AttributeName: 'ttl' })).toEqual([]);
+    });
+
+    it('reports missing and unexpected indexes and TTL', () => {
+      const description = live(tables.sharing);
+      description.GlobalSecondaryIndexes = [
+        { ...description.GlobalSecondaryIndexes[0] },
+        { IndexName: 'legacy', KeySchema: [{ AttributeName: 'legacypk', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } }
+      ];
+
+      expect(diffTable(tables.sharing, description, { TimeToLiveStatus: 'DISABLED' })).toEqual([
+        'index gsi2 is missing',
+        'index legacy is not used by the models',
+        'TTL on ttl is not enabled'
+      ]);
+    });
+
+    it('reports key schemas that differ', () => {
+      const description = { KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }] };
+
+      expect(diffTable(tables.stats, description)).toEqual([
+        'key schema is pk (HASH), expected pk (HASH), sk (RANGE)'
+      ]);
+    });
+  });
+});
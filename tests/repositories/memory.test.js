@@ -0,0 +1,64 @@
+const { createMemoryRepositories } = require('../../src/repositories/memory');
+
+describe('in-memory repositories', () => {
+  let repositories;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories();
+  });
+
+  it('applies defaults and returns copies rather than stored items', async () => {
+    const created = await repositories.resources.create({ resourceId: 'r1', name: 'Doc', type: 'document', ownerId: 'u1' });
+    expect(created).toMatchObject({ isGlobal: false, createdAt: expect.any(String), updatedAt: expect.any(String) });
+
+    created.name = 'Changed';
+    expect((await repositories.resources.get('r1')).name).toBe('Doc');
+  });
+
+  it('reports existing keys on create as conflicts', async () => {
+    await repositories.groups.create({ groupId: 'g1', name: 'One' });
+
+    await expect(repositories.groups.create({ groupId: 'g1', name: 'Again' })).rejects.toMatchObject({
+      code: 'CONFLICT',
+      message: 'Group g1 already exists'
+    });
+  });
+
+  it('only updates existing items at the expected version', async () => {
+    const group = await repositories.groups.create({ groupId: 'g1', name: 'One' });
+
+    await expect(repositories.groups.update('missing', { name: 'x' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    await expect(repositories.groups.update('g1', { name: 'x' }, { ifMatch: 'stale' }))
+      .rejects.toMatchObject({ code: 'PRECONDITION_FAILED' });
+
+    const updated = await repositories.groups.update('g1', { name: 'Two' }, { ifMatch: group.updatedAt });
+    expect(updated.name).toBe('Two');
+  });
+
+  it('keeps emails unique across creates and email changes', async () => {
+    const alice = await repositories.users.create({ userId: 'u1', email: 'alice@example.com', name: 'Alice' });
+    await repositories.users.create({ userId: 'u2', email: 'bob@example.com', name: 'Bob' });
+
+    await expect(repositories.users.create({ userId: 'u3', email: 'alice@example.com', name: 'Eve' }))
+      .rejects.toThrow('Email alice@example.com is already in use');
+    await expect(repositories.users.changeEmail(alice, { email: 'bob@example.com' }))
+      .rejects.toThrow('Email bob@example.com is already in use');
+
+    await repositories.users.changeEmail(alice, { email: 'alice@example.org' });
+    expect((await repositories.users.findByEmail('alice@example.org')).userId).toBe('u1');
+    // The previous address is released
+    await repositories.users.create({ userId: 'u3', email: 'alice@example.com', name: 'Eve' });
+  });
+
+  it('pages through items with opaque cursors', async () => {
+    for (const userId of ['u1', 'u2', 'u3']) {
+      await repositories.memberships.create({ userId, groupId: 'g1' });
+    }
+
+    const first = await repositories.memberships.listByGroup('g1', { limit: 2 });
+    const second = await repositories.memberships.listByGroup('g1', { limit: 2, cursor: first.nextCursor });
+
+    expect(first.items.map(membership => membership.userId)).toEqual(['u1', 'u2']);
+    expect(second).toMatchObject({ items: [{ userId: 'u3', role: 'member' }], nextCursor: null });
+  });
+});
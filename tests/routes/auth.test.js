@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { useApi, JWT_SECRET } = require('../fixtures/api');
+
+describe('authentication', () => {
+  const api = useApi();
+
+  const withToken = token => api.send({ Authorization: `Bearer ${token}` })('GET', '/users/user1');
+
+  it('requires credentials', async () => {
+    const response = await api.send({})('GET', '/users/user1');
+
+    expect(response).toMatchObject({ status: 401, body: { error: { code: 'UNAUTHORIZED', message: 'Authentication required' } } });
+    expect(response.headers.get('www-authenticate')).toBe('Bearer');
+  });
+
+  it('accepts a valid token as that user and an API key as the service account', async () => {
+    const user = await api.as('user2')('GET', '/access/check?userId=user1&resourceId=resource1&permission=read');
+    const service = await api.asService()('GET', '/access/check?userId=user1&resourceId=resource1&permission=read');
+
+    expect(user.status).toBe(403);
+    expect(service).toMatchObject({ status: 200, body: { allowed: true } });
+  });
+
+  it.each([
+    ['an expired token', () => jwt.sign({ sub: 'user1', exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET), 'jwt expired'],
+    ['a token signed with another secret', () => jwt.sign({ sub: 'user1' }, 'not-the-secret'), 'invalid signature'],
+    ['a token for an unknown key', () => jwt.sign({ sub: 'user1' }, JWT_SECRET, { keyid: 'retired' }), 'Unknown signing key: retired'],
+    ['a token without a subject', () => jwt.sign({ name: 'Alice' }, JWT_SECRET), 'Token has no subject'],
+    ['a malformed token', () => 'not-a-token', 'Malformed token']
+  ])('rejects %s', async (_, token, reason) => {
+    const response = await withToken(token());
+
+    expect(response).toMatchObject({ status: 401, body: { error: { code: 'UNAUTHORIZED', message: `Invalid credentials: ${reason}` } } });
+    expect(response.headers.get('www-authenticate')).toBe('Bearer error="invalid_token"');
+  });
+
+  it('rejects tokens whose algorithm does not match the key type', async () => {
+    // An RS256 token must not be accepted against the HMAC secret configured for `test`
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const rsa = await withToken(jwt.sign({ sub: 'user1' }, privateKey, { algorithm: 'RS256', keyid: 'test' }));
+    const unsigned = await withToken(jwt.sign({ sub: 'user1' }, null, { algorithm: 'none', keyid: 'test' }));
+
+    expect(rsa).toMatchObject({ status: 401, body: { error: { message: 'Invalid credentials: invalid algorithm' } } });
+    expect(unsigned).toMatchObject({ status: 401, body: { error: { code: 'UNAUTHORIZED' } } });
+  });
+
+  it('rejects unknown API keys', async () => {
+    const response = await api.send({ 'X-API-Key': 'wrong-key' })('GET', '/users/user1');
+
+    expect(response).toMatchObject({ status: 401, body: { error: { message: 'Invalid credentials: Invalid API key' } } });
+  });
+
+  it('prefers the bearer token over an API key', async () => {
+    const token = jwt.sign({ sub: 'user1' }, JWT_SECRET, { expiresIn: -60 });
+    const response = await api.send({ Authorization: `Bearer ${token}`, 'X-API-Key': 'test-api-key' })('GET', '/users/user1');
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,75 @@
+const { useApi } = require('../fixtures/api');
+
+describe('resource routes', () => {
+  const api = useApi();
+
+  it('refuses to make a resource global through an update', async () => {
+    // user4 holds write on resource2 through the Designers group
+    const response = await api.as('user4')('PUT', '/resources/resource2', { isGlobal: true });
+
+    expect(response.status).toBe(400);
+    expect((await api.repositories.resources.get('resource2')).isGlobal).toBe(false);
+  });
+
+  it('creates global resources with a global share that can be removed again', async () => {
+    const created = await api.as('user1')('POST', '/resources', { resourceId: 'resource6', name: 'Wiki', type: 'document', isGlobal: true });
+
+    expect(created).toMatchObject({ status: 201, body: { resourceId: 'resource6', ownerId: 'user1', isGlobal: true } });
+    expect(created.headers.get('etag')).toBe(`"${created.body.updatedAt}"`);
+    expect((await api.as('user5')('GET', '/resources/resource6')).status).toBe(200);
+
+    const unshared = await api.as('user1')('DELETE', '/resource/resource6/unshare', { shareType: 'global', targetId: 'global' });
+
+    expect(unshared.status).toBe(200);
+    expect((await api.repositories.resources.get('resource6')).isGlobal).toBe(false);
+    expect((await api.as('user5')('GET', '/resources/resource6')).status).toBe(403);
+  });
+
+  it('reports an existing resource id as a conflict', async () => {
+    const response = await api.as('user1')('POST', '/resources', { resourceId: 'resource2', name: 'Copy', type: 'document' });
+
+    expect(response).toMatchObject({ status: 409, body: { error: { code: 'CONFLICT' } } });
+    expect((await api.repositories.resources.get('resource2')).ownerId).toBe('user3');
+  });
+
+  it('refuses updates made against a stale version', async () => {
+    const { headers } = await api.as('user1')('GET', '/resources/resource1');
+    const current = await api.as('user1')('PUT', '/resources/resource1', { name: 'Alpha' }, { 'If-Match': headers.get('etag') });
+    const stale = await api.as('user1')('PUT', '/resources/resource1', { name: 'Beta' }, { 'If-Match': headers.get('etag') });
+
+    expect(current.status).toBe(200);
+    expect(stale).toMatchObject({ status: 412, body: { error: { code: 'PRECONDITION_FAILED' } } });
+    expect((await api.repositories.resources.get('resource1')).name).toBe('Alpha');
+  });
+
+  it('only lists the caller\'s own resources', async () => {
+    const own = await api.as('user1')('GET', '/resource/user/user1/resources');
+    const other = await api.as('user1')('GET', '/resource/user/user2/resources');
+    const owned = await api.as('user1')('GET', '/resources/owner/user2');
+    const all = await api.as('user1')('GET', '/resources');
+
+    expect(own.status).toBe(200);
+    expect([other.status, owned.status, all.status]).toEqual([403, 403, 403]);
+    expect((await api.asService()('GET', '/resources')).body.items).toHaveLength(5);
+  });
+
+  it('only lets the owner or a service account transfer a resource', async () => {
+    await api.asService()('POST', '/resource/resource1/share', { shareType: 'user', targetId: 'user2', permissions: ['admin'] });
+
+    const admin = await api.as('user2')('POST', '/resources/resource1/transfer', { newOwnerId: 'user2' });
+    expect(admin).toMatchObject({ status: 403, body: { error: { code: 'FORBIDDEN' } } });
+    expect((await api.repositories.resources.get('resource1')).ownerId).toBe('user1');
+
+    const owner = await api.as('user1')('POST', '/resources/resource1/transfer', { newOwnerId: 'user2' });
+    expect(owner.status).toBe(200);
+    expect((await api.repositories.resources.get('resource1')).ownerId).toBe('user2');
+  });
+
+  it('keeps the reporting endpoints to service accounts', async () => {
+    const resources = await api.as('user1')('GET', '/resource/resources/with-user-count');
+    const users = await api.as('user1')('GET', '/resource/users/with-resource-count');
+
+    expect([resources.status, users.status]).toEqual([403, 403]);
+    expect((await api.asService()('GET', '/resource/resources/with-user-count')).status).toBe(200);
+  });
+});
@@ -0,0 +1,52 @@
+const { useApi } = require('../fixtures/api');
+
+describe('user routes', () => {
+  const api = useApi();
+
+  it('only lets service accounts create users', async () => {
+    const user = { userId: 'user6', email: 'frank@example.com', name: 'Frank' };
+
+    const forbidden = await api.as('user1')('POST', '/users', user);
+    const created = await api.asService()('POST', '/users', user);
+    const duplicate = await api.asService()('POST', '/users', { ...user, userId: 'user7' });
+
+    expect(forbidden).toMatchObject({ status: 403, body: { error: { code: 'FORBIDDEN' } } });
+    expect(created).toMatchObject({ status: 201, body: { userId: 'user6', email: 'frank@example.com' } });
+    expect(duplicate).toMatchObject({ status: 409, body: { error: { code: 'CONFLICT' } } });
+  });
+
+  it('refuses to let users delete someone else or hand their resources to another user', async () => {
+    const other = await api.as('user2')('DELETE', '/users/user1?successorId=user2');
+    const self = await api.as('user1')('DELETE', '/users/user1?successorId=user2');
+
+    expect(other).toMatchObject({ status: 403, body: { error: { code: 'FORBIDDEN' } } });
+    expect(self).toMatchObject({ status: 403, body: { error: { code: 'FORBIDDEN' } } });
+    expect(await api.repositories.users.get('user1')).toBeTruthy();
+    expect((await api.repositories.resources.get('resource1')).ownerId).toBe('user1');
+  });
+
+  it('refuses to let users take over another user\'s email', async () => {
+    const response = await api.as('user2')('PUT', '/users/user1', { email: 'attacker@example.com' });
+    const lookup = await api.as('user2')('GET', '/users/by-email/attacker@example.com');
+
+    expect(response.status).toBe(403);
+    expect(lookup.status).toBe(404);
+    expect((await api.as('user1')('PUT', '/users/user1', { name: 'Alice J.' })).body).toMatchObject({ name: 'Alice J.' });
+  });
+
+  it('lets service accounts delete a user and pick the successor', async () => {
+    const response = await api.asService()('DELETE', '/users/user2?successorId=user1');
+
+    expect(response).toMatchObject({ status: 200, body: { userId: 'user2', resourcesTransferred: 1, successorId: 'user1' } });
+    expect((await api.repositories.resources.get('resource4')).ownerId).toBe('user1');
+  });
+
+  it('refuses to delete the last owner of a group', async () => {
+    // Alice is the only owner of Developers
+    const response = await api.asService()('DELETE', '/users/user1?successorId=user2');
+
+    expect(response).toMatchObject({ status: 409, body: { error: { code: 'CONFLICT', message: 'Group group1 must keep at least one owner' } } });
+    expect(await api.repositories.users.get('user1')).toBeTruthy();
+    expect((await api.repositories.resources.get('resource1')).ownerId).toBe('user1');
+  });
+});
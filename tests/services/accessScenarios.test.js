@@ -0,0 +1,172 @@
+const { useMemoryStore, loadStore } = require('../fixtures/memoryStore');
+
+const resourceIds = result => result.resources.map(entry => entry.resource.resourceId).sort();
+
+describe('access control scenarios', () => {
+  let repositories;
+  let accessService;
+  let auditService;
+
+  useMemoryStore();
+
+  beforeEach(async () => {
+    repositories = await loadStore();
+    accessService = require('../../src/services/accessService');
+    auditService = require('../../src/services/auditService');
+  });
+
+  describe('direct shares', () => {
+    it('lists resources shared directly with a user alongside global ones', async () => {
+      const result = await accessService.getUserResources('user1');
+
+      expect(resourceIds(result)).toEqual(['resource1', 'resource3', 'resource4']);
+      expect(result.resources.find(entry => entry.resource.resourceId === 'resource4')).toMatchObject({
+        accessType: 'direct',
+        sharedBy: 'user2',
+        effectivePermissions: ['read']
+      });
+    });
+
+    it('lists every directly shared user on the resource access list', async () => {
+      const result = await accessService.getResourceAccessList('resource4');
+
+      expect(result.accessType).toBe('specific');
+      expect(result.totalUsers).toBe(2);
+      expect(result.users.map(user => [user.userId, user.accessType])).toEqual([
+        ['user1', 'direct'],
+        ['user3', 'direct']
+      ]);
+    });
+
+    it('grants only the shared permissions', async () => {
+      const [read, write] = await accessService.checkAccessBatch([
+        { userId: 'user3', resourceId: 'resource4', permission: 'read' },
+        { userId: 'user3', resourceId: 'resource4', permission: 'write' }
+      ]);
+
+      expect(read).toMatchObject({ allowed: true, grantedBy: [{ accessType: 'direct' }] });
+      expect(write).toMatchObject({ allowed: false, grantedBy: [] });
+    });
+
+    it('replaces the permissions of an existing share and removes it on unshare', async () => {
+      const updated = await accessService.shareResource('resource4', 'user', 'user3', 'user2', ['write']);
+      expect(updated.permissions).toEqual(['write']);
+      expect((await accessService.checkAccess('user3', 'resource4', 'write')).allowed).toBe(true);
+
+      await accessService.unshareResource('resource4', 'user', 'user3', { actorId: 'user2' });
+      expect((await accessService.checkAccess('user3', 'resource4', 'read')).allowed).toBe(false);
+
+      const log = await auditService.query({ resourceId: 'resource4' }, { limit: 10 });
+      expect(log.items.map(entry => entry.action).sort()).toEqual(['share.delete', 'share.update']);
+    });
+
+    it('ignores shares that have expired', async () => {
+      await repositories.shares.put({
+        resourceId: 'resource2',
+        shareType: 'user',
+        targetId: 'user2',
+        sharedBy: 'user3',
+        permissions: ['read'],
+        expiresAt: new Date(Date.now() - 60 * 1000).toISOString()
+      });
+
+      expect((await accessService.checkAccess('user2', 'resource2', 'read')).allowed).toBe(false);
+      expect(resourceIds(await accessService.getUserResources('user2'))).not.toContain('resource2');
+    });
+  });
+
+  describe('group shares', () => {
+    it('gives every member of the group access', async () => {
+      const result = await accessService.getResourceAccessList('resource1');
+
+      expect(result.totalUsers).toBe(2);
+      expect(result.users.map(user => user.userId)).toEqual(['user1', 'user2']);
+      expect(result.users.every(user => user.accessType === 'group' && user.groupId === 'group1')).toBe(true);
+    });
+
+    it('reaches a member of several groups through each of them', async () => {
+      const result = await accessService.getUserResources('user4');
+
+      expect(result.totalResources).toBe(2);
+      expect(result.resources.find(entry => entry.resource.resourceId === 'resource2')).toMatchObject({
+        accessType: 'group',
+        groupId: 'group2',
+        groupPath: ['group2'],
+        effectivePermissions: ['read', 'comment', 'write']
+      });
+    });
+
+    it('extends shares with a parent group to members of nested groups', async () => {
+      await accessService.shareResource('resource1', 'group', 'group3', 'user1', ['comment']);
+
+      const permissions = await accessService.getEffectivePermissions('resource1', 'user5');
+      expect(permissions.permissions).toEqual(['read', 'comment']);
+      expect(permissions.grants).toEqual([
+        { accessType: 'group', groupId: 'group3', groupPath: ['group3', 'group4'], permissions: ['comment'] }
+      ]);
+
+      // Members of the parent do not reach what is shared with the nested group
+      expect((await accessService.checkAccess('user4', 'resource5', 'read')).allowed).toBe(false);
+    });
+
+    it('stops granting access once the user leaves the group', async () => {
+      await repositories.memberships.delete('user2', 'group1');
+
+      expect((await accessService.checkAccess('user2', 'resource1', 'read')).allowed).toBe(false);
+    });
+  });
+
+  describe('global shares', () => {
+    it('summarises the access list by the total number of users', async () => {
+      const result = await accessService.getResourceAccessList('resource3', { expandUsers: true, limit: 3 });
+
+      expect(result).toMatchObject({ accessType: 'global', totalUsers: 5, globalPermissions: ['read'], users: [] });
+      expect(result.allUsers.items).toHaveLength(3);
+      expect(result.allUsers.nextCursor).not.toBeNull();
+
+      const rest = await accessService.getResourceAccessList('resource3', {
+        expandUsers: true,
+        limit: 3,
+        cursor: result.allUsers.nextCursor
+      });
+      expect([...result.allUsers.items, ...rest.allUsers.items].map(entry => entry.userId))
+        .toEqual(['user1', 'user2', 'user3', 'user4', 'user5']);
+      expect(rest.allUsers.nextCursor).toBeNull();
+    });
+
+    it('grants everyone read but nothing more', async () => {
+      const checks = await accessService.checkAccessBatch([
+        { userId: 'user2', resourceId: 'resource3', permission: 'read' },
+        { userId: 'user2', resourceId: 'resource3', permission: 'write' },
+        { userId: 'user4', resourceId: 'resource3', permission: 'admin' }
+      ]);
+
+      expect(checks.map(check => check.allowed)).toEqual([true, false, true]);
+      expect(checks[2].grantedBy).toEqual([{ accessType: 'owner' }]);
+    });
+
+    it('marks the resource global when shared globally and clears it on unshare', async () => {
+      await accessService.shareResource('resource4', 'global', undefined, 'user2');
+      expect((await repositories.resources.get('resource4')).isGlobal).toBe(true);
+      expect((await accessService.checkAccess('user5', 'resource4', 'read')).grantedBy).toEqual([{ accessType: 'global' }]);
+
+      await accessService.unshareResource('resource4', 'global', undefined, { actorId: 'user2' });
+      expect((await repositories.resources.get('resource4')).isGlobal).toBe(false);
+      expect((await accessService.checkAccess('user5', 'resource4', 'read')).allowed).toBe(false);
+    });
+
+    it('rejects global shares granting more than read', async () => {
+      await expect(accessService.shareResource('resource4', 'global', undefined, 'user2', ['read', 'write']))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: 'Invalid permissions: global shares can only grant read' });
+      expect((await repositories.resources.get('resource4')).isGlobal).toBe(false);
+      expect(await repositories.shares.get({ resourceId: 'resource4', shareType: 'global', targetId: 'global' })).toBeFalsy();
+    });
+  });
+
+  it('reports missing resources and users', async () => {
+    await expect(accessService.getResourceAccessList('missing')).rejects.toThrow('Resource not found');
+    await expect(accessService.checkAccess('user1', 'missing', 'read')).rejects.toThrow('Resource not found');
+    await expect(accessService.shareResource('resource1', 'user', 'missing', 'user1'))
+      .rejects.toThrow('Target user not found');
+  });
+});
@@ -0,0 +1,85 @@
+const { createCountingModels, buildLargeMembershipFixture } = require('../fixtures/countingModels');
+
+function loadAccessService(data) {
+  const fixture = createCountingModels(data);
+  jest.resetModules();
+  jest.doMock('../../src/models', () => fixture.models);
+  return { accessService: require('../../src/services/accessService'), stats: fixture.stats };
+}
+
+describe('AccessService.getUserResources', () => {
+  it('resolves 500 group-shared resources across 20 groups in a bounded number of round trips', async () => {
+    const data = buildLargeMembershipFixture({ groupCount: 20, resourceCount: 500 });
+    const { accessService, stats } = loadAccessService(data);
+
+    const result = await accessService.getUserResources('user1');
+
+    expect(result.totalResources).toBe(500);
+
+    // Previously: user + groups + direct shares + global + one query per group + one get per resource
+    const sequentialRoundTrips = 4 + 20 + 500;
+    // Now: the same four lookups, a parent-group and a share query per group and one BatchGet per 100 resources
+    const batchedRoundTrips = 4 + 20 + 20 + 5;
+
+    expect(stats.roundTrips).toBe(batchedRoundTrips);
+    expect(stats.roundTrips).toBeLessThan(sequentialRoundTrips / 10);
+  });
+
+  it('caps the number of concurrent group queries', async () => {
+    const data = buildLargeMembershipFixture({ groupCount: 50, resourceCount: 50 });
+    const { accessService, stats } = loadAccessService(data);
+
+    await accessService.getUserResources('user1');
+
+    expect(stats.maxInFlight).toBeLessThanOrEqual(8);
+  });
+
+  it('merges permissions when a resource is reachable through several paths', async () => {
+    const { accessService } = loadAccessService({
+      users: [{ userId: 'user1', email: 'user1@example.com', name: 'User One' }],
+      memberships: [{ userId: 'user1', groupId: 'group1' }],
+      resources: [{ resourceId: 'resource1', name: 'Doc', type: 'document', ownerId: 'owner', isGlobal: true }],
+      shares: [
+        { resourceId: 'resource1', shareType: 'user', targetId: 'user1', sharedBy: 'owner', permissions: ['comment'] },
+        { resourceId: 'resource1', shareType: 'group', targetId: 'group1', sharedBy: 'owner', permissions: ['share'] }
+      ]
+    });
+
+    const result = await accessService.getUserResources('user1');
+
+    expect(result.totalResources).toBe(1);
+    expect(result.resources[0].accessType).toBe('direct');
+    expect(result.resources[0].effectivePermissions).toEqual(['read', 'comment', 'share']);
+  });
+
+  it('reaches resources shared with groups that contain the user\'s groups', async () => {
+    const { accessService } = loadAccessService({
+      users: [{ userId: 'user1', email: 'user1@example.com', name: 'User One' }],
+      memberships: [{ userId: 'user1', groupId: 'team-leads' }],
+      nestings: [
+        { parentGroupId: 'managers', childGroupId: 'team-leads' },
+        { parentGroupId: 'leadership', childGroupId: 'managers' }
+      ],
+      resources: [{ resourceId: 'resource1', name: 'Plan', type: 'document', ownerId: 'owner', isGlobal: false }],
+      shares: [
+        { resourceId: 'resource1', shareType: 'group', targetId: 'leadership', sharedBy: 'owner', permissions: ['comment'] }
+      ]
+    });
+
+    const result = await accessService.getUserResources('user1');
+
+    expect(result.totalResources).toBe(1);
+    expect(result.resources[0]).toMatchObject({
+      accessType: 'group',
+      groupId: 'leadership',
+      groupPath: ['leadership', 'managers', 'team-leads'],
+      effectivePermissions: ['read', 'comment']
+    });
+  });
+
+  it('rejects unknown users', async () => {
+    const { accessService } = loadAccessService({});
+
+    await expect(accessService.getUserResources('missing')).rejects.toThrow('User not found');
+  });
+});
@@ -0,0 +1,31 @@
+const { useMemoryStore, loadStore } = require('../fixtures/memoryStore');
+
+describe('AuditService.record', () => {
+  let repositories;
+  let auditService;
+
+  useMemoryStore();
+
+  beforeEach(async () => {
+    repositories = await loadStore({ seed: false });
+    auditService = require('../../src/services/auditService');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts entries that could not be written in the AuditWriteFailures metric', async () => {
+    jest.spyOn(repositories.audit, 'append').mockRejectedValue(new Error('Throughput exceeded'));
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await auditService.record({ action: 'share.delete', actorId: 'user1', resourceId: 'resource1' });
+
+    expect(result).toBeNull();
+    expect(error).toHaveBeenCalledWith('Failed to write audit entry:', 'Throughput exceeded', expect.stringContaining('"resourceId":"resource1"'));
+    const metric = JSON.parse(log.mock.calls[0][0]);
+    expect(metric).toMatchObject({ AuditWriteFailures: 1, action: 'share.delete', error: 'Throughput exceeded' });
+    expect(metric._aws.CloudWatchMetrics[0]).toMatchObject({ Namespace: 'ResourceSharing', Metrics: [{ Name: 'AuditWriteFailures', Unit: 'Count' }] });
+  });
+});
@@ -0,0 +1,99 @@
+const { useMemoryStore, loadStore } = require('../fixtures/memoryStore');
+
+/**
+ * Load the bulk service against a fresh in-memory store
+ */
+async function loadServices(options) {
+  const repositories = await loadStore(options);
+  return {
+    repositories,
+    bulkService: require('../../src/services/bulkService'),
+    accessService: require('../../src/services/accessService')
+  };
+}
+
+describe('bulk import and export', () => {
+  useMemoryStore();
+
+  it('imports valid rows and reports the others by line', async () => {
+    const { repositories, bulkService } = await loadServices();
+    const csv = [
+      'userId,groupId,role',
+      'user5,group1,admin',
+      'user5,group1,member',
+      'nobody,group1,',
+      'user1,missing,',
+      'user1,group1,',
+      'user3,group3,chief'
+    ].join('\n');
+
+    const result = await bulkService.importRecords('memberships', csv, 'csv', { actorId: 'svc' });
+
+    expect(result).toMatchObject({ type: 'memberships', total: 6, imported: 1, failed: 5 });
+    expect(result.errors.map(error => [error.line, error.code, error.message])).toEqual([
+      [3, 'VALIDATION_ERROR', 'Duplicates line 2'],
+      [4, 'NOT_FOUND', 'User not found'],
+      [5, 'NOT_FOUND', 'Group not found'],
+      [6, 'CONFLICT', 'User user1 is already a member of group group1'],
+      [7, 'VALIDATION_ERROR', 'Invalid row: row.role must be one of member, admin, owner']
+    ]);
+    expect(await repositories.memberships.get('user5', 'group1')).toMatchObject({ role: 'admin', addedBy: 'svc' });
+  });
+
+  it('checks that resources have an existing owner and shares an existing target', async () => {
+    const { bulkService } = await loadServices();
+
+    const resources = await bulkService.importRecords('resources', [
+      '{"resourceId":"resource6","name":"Roadmap","type":"document","ownerId":"user1"}',
+      '{"resourceId":"resource7","name":"Orphan","type":"document","ownerId":"ghost"}'
+    ].join('\n'), 'jsonl', { actorId: 'svc' });
+    const shares = await bulkService.importRecords('shares', [
+      '{"resourceId":"resource6","shareType":"group","targetId":"group2","permissions":["write"]}',
+      '{"resourceId":"resource6","shareType":"group","targetId":"ghosts"}',
+      '{"resourceId":"resource7","shareType":"user","targetId":"user2"}'
+    ].join('\n'), 'jsonl', { actorId: 'svc' });
+
+    expect(resources.errors).toEqual([{ line: 2, key: 'resource7', code: 'NOT_FOUND', message: 'Owner ghost not found' }]);
+    expect(shares.imported).toBe(1);
+    expect(shares.errors.map(error => error.message)).toEqual(['Target group not found', 'Resource not found']);
+  });
+
+  it('gives global resources the global share that makes them private again on unshare', async () => {
+    const { repositories, bulkService, accessService } = await loadServices();
+
+    await bulkService.importRecords('resources', 'resourceId,name,type,ownerId,isGlobal\nresource6,Wiki,document,user1,true\n', 'csv', { actorId: 'svc' });
+
+    expect(await repositories.shares.get({ resourceId: 'resource6', shareType: 'global', targetId: 'global' })).toMatchObject({ permissions: ['read'], sharedBy: 'svc' });
+    await accessService.unshareResource('resource6', 'global', undefined, { actorId: 'svc' });
+    expect((await repositories.resources.get('resource6')).isGlobal).toBe(false);
+  });
+
+  it('rejects files with more rows than allowed', async () => {
+    const { bulkService } = await loadServices();
+
+    await expect(bulkService.importRecords('users', 'userId,email,name\na,a@example.com,A\nb,b@example.com,B\n', 'csv', { maxRows: 1 }))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: 'Invalid request: at most 1 rows per import' });
+  });
+
+  it('exports files that import into an empty store with the same access', async () => {
+    const source = await loadServices();
+    const files = {};
+    for (const type of ['users', 'groups', 'memberships', 'resources', 'shares']) {
+      files[type] = (await source.bulkService.exportRecords(type, type === 'shares' ? 'csv' : 'jsonl')).body;
+    }
+    const before = await source.accessService.getUserResources('user4');
+
+    const target = await loadServices({ seed: false });
+    for (const type of ['users', 'groups', 'memberships', 'resources', 'shares']) {
+      const result = await target.bulkService.importRecords(type, files[type], type === 'shares' ? 'csv' : 'jsonl', { actorId: 'svc' });
+      expect(result).toMatchObject({ failed: 0 });
+    }
+    const after = await target.accessService.getUserResources('user4');
+
+    const summary = result => result.resources
+      .map(entry => [entry.resource.resourceId, entry.accessType, entry.effectivePermissions])
+      .sort();
+    expect(summary(after)).toEqual(summary(before));
+    expect((await target.repositories.resources.get('resource3')).isGlobal).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+const { parseCsv, parseJsonLines, toCsv } = require('../../src/utils/bulkFormats');
+
+const columns = [{ name: 'resourceId' }, { name: 'description' }, { name: 'permissions', type: 'list' }, { name: 'isGlobal', type: 'boolean' }];
+
+describe('bulk formats', () => {
+  it('parses quoted CSV cells and reports the line each row starts on', () => {
+    const rows = parseCsv('\uFEFFresourceId,description,permissions,isGlobal,extra\r\n'
+      + 'r1,"Line one\nline ""two"", end",read|write,TRUE,x\r\n'
+      + 'r2,,,,\r\n'
+      + 'r3,too few\r\n', columns);
+
+    expect(rows).toEqual([
+      { line: 2, record: { resourceId: 'r1', description: 'Line one\nline "two", end', permissions: ['read', 'write'], isGlobal: true } },
+      { line: 4, record: { resourceId: 'r2' } },
+      { line: 5, error: 'Expected 5 values, found 2' }
+    ]);
+  });
+
+  it('writes CSV that parses back to the same records', () => {
+    const records = [{ resourceId: 'r1', description: 'Says "hi", twice', permissions: ['read', 'share'], isGlobal: false }];
+
+    expect(parseCsv(toCsv(records, columns), columns).map(row => row.record)).toEqual(records);
+  });
+
+  it('reports JSON Lines that are not objects without dropping the others', () => {
+    expect(parseJsonLines('{"userId":"u1"}\n\n[1]\n{"userId":\n')).toEqual([
+      { line: 1, record: { userId: 'u1' } },
+      { line: 3, error: 'Expected a JSON object' },
+      { line: 4, error: expect.stringMatching(/^Invalid JSON/) }
+    ]);
+  });
+
+  it('rejects unterminated quotes', () => {
+    expect(() => parseCsv('resourceId\n"r1\n', columns)).toThrow('unterminated quoted value starting on line 2');
+  });
+});
@@ -0,0 +1,179 @@
+const { createMigrationRunner } = require('../../src/utils/migrations');
+
+/**
+ * Store keeping items per table in arrays; cursors are array offsets
+ */
+function createStore(tables) {
+  const records = new Map();
+  return {
+    tables,
+    records,
+    scans: 0,
+    async scan(migration, { cursor, limit }) {
+      this.scans++;
+      const items = tables[migration.table];
+      const start = cursor ? Number(cursor) : 0;
+      const end = start + limit;
+      return { items: items.slice(start, end), nextCursor: end < items.length ? String(end) : null };
+    },
+    async get(migrationId) {
+      return records.get(migrationId) || null;
+    },
+    async all() {
+      return [...records.values()];
+    },
+    async put(record) {
+      records.set(record.migrationId, { ...record });
+    },
+    async delete(migrationId) {
+      records.delete(migrationId);
+    }
+  };
+}
+
+// Adds a `tags` list to resources that have none
+const addTags = {
+  id: '001-add-tags',
+  description: 'Give every resource a tags list',
+  table: 'resources',
+  needsUp: resource => !resource.tags,
+  up: async resource => {
+    resource.tags = [];
+  },
+  needsDown: resource => Boolean(resource.tags),
+  down: async resource => {
+    delete resource.tags;
+  }
+};
+
+const upperCaseNames = {
+  id: '002-upper-case-names',
+  description: 'Upper-case resource names',
+  table: 'resources',
+  needsUp: resource => resource.name !== resource.name.toUpperCase(),
+  up: async resource => {
+    resource.name = resource.name.toUpperCase();
+  }
+};
+
+const resources = () => ['a', 'b', 'c', 'd', 'e'].map(name => ({ name }));
+
+describe('migration runner', () => {
+  let store;
+  let runner;
+  const log = jest.fn();
+
+  beforeEach(() => {
+    store = createStore({ resources: resources() });
+    runner = createMigrationRunner({ migrations: [addTags, upperCaseNames], store, log });
+  });
+
+  it('applies pending migrations in order and records them', async () => {
+    const results = await runner.up({ batchSize: 2 });
+
+    expect(results).toEqual([
+      { migrationId: '001-add-tags', scanned: 5, changed: 5 },
+      { migrationId: '002-upper-case-names', scanned: 5, changed: 5 }
+    ]);
+    expect(store.tables.resources[0]).toEqual({ name: 'A', tags: [] });
+    expect((await runner.status()).map(entry => entry.status)).toEqual(['applied', 'applied']);
+
+    // Nothing left to do
+    expect(await runner.up()).toEqual([]);
+  });
+
+  it('stops after the requested migration', async () => {
+    await runner.up({ to: '001-add-tags' });
+
+    expect((await runner.status()).map(entry => entry.status)).toEqual(['applied', 'pending']);
+  });
+
+  it('counts the items a dry run would change without writing', async () => {
+    store.tables.resources[1].tags = ['kept'];
+
+    const results = await runner.up({ dryRun: true });
+
+    expect(results.map(result => [result.migrationId, result.changed, result.scanned])).toEqual([
+      ['001-add-tags', 4, 5],
+      ['002-upper-case-names', 5, 5]
+    ]);
+    expect(store.tables.resources).toEqual([{ name: 'a' }, { name: 'b', tags: ['kept'] }, { name: 'c' }, { name: 'd' }, { name: 'e' }]);
+    expect(store.records.size).toBe(0);
+  });
+
+  it('reports items a migration skips without counting them on any run', async () => {
+    const skipping = {
+      ...upperCaseNames,
+      needsUp: (resource, context) => {
+        if (resource.name === 'c') {
+          context.log('⚠️  c needs a hand');
+          return false;
+        }
+        return upperCaseNames.needsUp(resource);
+      }
+    };
+    runner = createMigrationRunner({ migrations: [skipping], store, log });
+    log.mockClear();
+
+    const dryRun = await runner.up({ dryRun: true });
+    const [applied] = await runner.up();
+
+    expect(dryRun[0].changed).toBe(4);
+    expect(applied.changed).toBe(4);
+    expect(log.mock.calls.filter(([message]) => message === '⚠️  c needs a hand')).toHaveLength(2);
+  });
+
+  it('resumes an interrupted migration from the last completed batch', async () => {
+    const failing = {
+      ...addTags,
+      up: jest.fn(async resource => {
+        if (resource.name === 'd') {
+          throw new Error('Throttled');
+        }
+        resource.tags = [];
+      })
+    };
+    runner = createMigrationRunner({ migrations: [failing], store, log });
+
+    await expect(runner.up({ batchSize: 2 })).rejects.toThrow('Throttled');
+    expect(store.records.get('001-add-tags')).toMatchObject({ status: 'applying', cursor: '2', scanned: 2, changed: 2 });
+
+    failing.up.mockImplementation(async resource => {
+      resource.tags = [];
+    });
+    store.scans = 0;
+    const [result] = await runner.up({ batchSize: 2 });
+
+    // The failed batch is visited again; c was already transformed and is skipped
+    expect(result).toEqual({ migrationId: '001-add-tags', scanned: 5, changed: 4 });
+    expect(store.scans).toBe(2);
+    expect(store.tables.resources.every(resource => resource.tags)).toBe(true);
+    expect(store.records.get('001-add-tags')).toMatchObject({ status: 'applied', appliedAt: expect.any(String) });
+    expect(store.records.get('001-add-tags').cursor).toBeUndefined();
+  });
+
+  it('reverts the latest reversible migration and forgets it', async () => {
+    await runner.up({ to: '001-add-tags' });
+
+    const [result] = await runner.down();
+
+    expect(result).toEqual({ migrationId: '001-add-tags', scanned: 5, changed: 5 });
+    expect(store.tables.resources[0]).toEqual({ name: 'a' });
+    expect((await runner.status())[0]).toMatchObject({ status: 'pending', reversible: true });
+  });
+
+  it('refuses to revert migrations without down', async () => {
+    await runner.up();
+
+    await expect(runner.down()).rejects.toThrow('Migration 002-upper-case-names cannot be reverted');
+    await expect(runner.down({ to: 'missing' })).rejects.toThrow('Unknown migration missing');
+    expect(store.tables.resources[0]).toEqual({ name: 'A', tags: [] });
+  });
+
+  it('rejects migrations that cannot be checked before transforming', () => {
+    expect(() => createMigrationRunner({ migrations: [{ id: 'x', table: 'users', up: async () => {} }], store }))
+      .toThrow('Migration x needs a table, up and needsUp');
+    expect(() => createMigrationRunner({ migrations: [addTags, addTags], store }))
+      .toThrow('Duplicate migration id 001-add-tags');
+  });
+});